@@ -0,0 +1,20 @@
+const cluster = require("cluster");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const { startPrimary } = require("./src/cluster/primary");
+
+// Arranque en modo cluster: un primario y CLUSTER_WORKERS workers
+// (por defecto, uno por CPU) que corren index.js.
+
+// Todos los workers tienen que firmar las sesiones con el mismo secreto
+if (!process.env.SESSION_SECRET) {
+  process.env.SESSION_SECRET = crypto.randomBytes(32).toString("hex");
+}
+
+cluster.setupPrimary({ exec: path.join(__dirname, "index.js") });
+
+startPrimary({
+  workers: Number(process.env.CLUSTER_WORKERS) || os.cpus().length,
+  port: process.env.PORT || 3000
+});
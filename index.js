@@ -1,7 +1,28 @@
+const cluster = require("cluster");
 const express = require("express");
 const { createServer } = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
+const wordBank = require("./src/wordBank");
+const session = require("./src/session");
+const roomSettings = require("./src/settings");
+const roles = require("./src/roles");
+const chat = require("./src/chat");
+const scoring = require("./src/scoring");
+const metrics = require("./src/metrics");
+const admin = require("./src/admin");
+const stateStore = require("./src/store");
+const schemas = require("./src/schemas");
+const { ok, fail, localizeResult, httpError } = require("./src/errors");
+const i18n = require("./src/i18n");
+const moderation = require("./src/moderation");
+const lobbies = require("./src/lobbies");
+const journal = require("./src/journal");
+const bots = require("./src/bots");
+const roleAudit = require("./src/roleAudit");
+const { createLocalSync, createClusterSync } = require("./src/cluster/roomSync");
+const { createAdapter } = require("@socket.io/cluster-adapter");
+const { setupWorker } = require("@socket.io/sticky");
 
 const app = express();
 
@@ -14,6 +35,73 @@ app.use(cors({
   origin: ALLOWED_ORIGINS
 }));
 
+// 2. PAQUETES DE PALABRAS (solo metadatos, nunca las palabras)
+wordBank.loadPacks();
+
+app.get("/api/packs", (req, res) => {
+  res.json(wordBank.listPacks());
+});
+
+// Salas públicas esperando jugadores (?language=es|en para filtrar)
+app.get("/api/lobbies", async (req, res) => {
+  const allRooms = await roomSync.listRooms();
+  res.json(lobbies.listLobbies(allRooms, { language: req.query.language }));
+});
+
+// Exporta una partida terminada para repetirla en un cliente (ver src/journal.js).
+// El gameId es aleatorio y solo lo conocen quienes estaban en la sala.
+app.get("/api/rooms/:roomCode/games/:gameId", async (req, res) => {
+  const code = req.params.roomCode.toUpperCase();
+  const game = await roomSync.withRoom(code, () =>
+    rooms[code] ? journal.findGame(rooms[code], req.params.gameId) : null);
+  if (!game) return res.status(404).json(httpError(req, "errors.GAME_NOT_FOUND"));
+  res.json(journal.exportGame(game));
+});
+
+app.get("/api/packs/:packId/categories", (req, res) => {
+  const categories = wordBank.listCategories(req.params.packId);
+  if (!categories) return res.status(404).json(httpError(req, "errors.packNotFound"));
+  res.json(categories);
+});
+
+// 3. SALUD, MÉTRICAS Y ADMINISTRACIÓN
+// readyz responde 503 hasta que el servidor escucha, y otra vez al apagarse
+let isReady = false;
+
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+app.get("/readyz", (req, res) => {
+  if (!isReady) return res.status(503).json({ status: "not_ready" });
+  res.json({ status: "ready" });
+});
+
+// En modo cluster contadores, sockets y salas son los de todos los workers
+// (los suma el primario)
+app.get("/metrics", async (req, res) => {
+  const allRooms = await roomSync.listRooms();
+  const totals = await roomSync.metricTotals();
+  res.type("text/plain; version=0.0.4");
+  res.send(metrics.render(allRooms, totals));
+});
+
+app.get("/admin/rooms", admin.requireAdmin, async (req, res) => {
+  const allRooms = await roomSync.listRooms();
+  res.json(Object.entries(allRooms).map(([code, room]) => admin.roomSummary(code, room)));
+});
+
+app.delete("/admin/rooms/:roomCode", admin.requireAdmin, async (req, res) => {
+  const code = req.params.roomCode.toUpperCase();
+  const closed = await roomSync.withRoom(code, () => {
+    if (!rooms[code]) return false;
+    closeRoom(code, "room.closedByAdmin");
+    return true;
+  });
+  if (!closed) return res.status(404).json(httpError(req, "errors.ROOM_NOT_FOUND"));
+  res.json({ closed: code });
+});
+
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
@@ -24,12 +112,54 @@ const io = new Server(httpServer, {
 
 const rooms = {};
 
+// Acceso sincronizado a las salas: directo en un proceso, a través del
+// primario en modo cluster (ver src/cluster/roomSync.js)
+const roomSync = cluster.isWorker ? createClusterSync(rooms) : createLocalSync(rooms);
+
+// Sockets abiertos en este proceso, para /metrics
+io.engine.on("connection", rawSocket => {
+  roomSync.reportSockets(io.engine.clientsCount);
+  rawSocket.on("close", () => roomSync.reportSockets(io.engine.clientsCount));
+});
+
 // Mapa para controlar la velocidad de creación de salas (Rate Limiting)
 const roomCreationLimits = new Map();
+const ROOM_CREATION_COOLDOWN_MS = 10000;
+
+// Cada cuánto se barren las entradas viejas de los rate limits
+const RATE_LIMIT_SWEEP_MS = 60 * 1000;
+
+// Sala de Socket.IO de quienes miran el buscador de salas públicas
+const LOBBY_WATCHERS = "lobby_watchers";
 
-// Mapa: socketId → { roomCode, playerName } para reconexión rápida
+// Mapa: socketId → { roomCode, playerName, sessionId } de cada socket en sala
 const sessionMap = new Map();
 
+// Mapa: sessionId → timestamps de los últimos mensajes de chat
+const chatRateLimits = new Map();
+
+// Mapa: socketId → timestamps de los últimos intentos de entrar a una sala
+// (cada uno con contraseña cuesta un scrypt)
+const joinRateLimits = new Map();
+
+// Persistencia de salas (ver src/store). Solo se guarda `rooms`: sessionMap
+// y los rate limits dependen de sockets vivos y se rehacen solos.
+// En modo cluster guarda el primario.
+const store = cluster.isWorker ? null : stateStore.createStore();
+
+// Último JSON guardado por sala, para escribir solo lo que cambió
+const savedSnapshots = new Map();
+const SNAPSHOT_INTERVAL_MS = 1000;
+
+// Tiempo que una sala restaurada espera a que alguien se reconecte
+const RESTORE_GRACE_MS = Number(process.env.RESTORE_GRACE_SECONDS || 120) * 1000;
+
+// Sin jugadores conectados, la sala se borra pasado este tiempo
+const IDLE_ROOM_MS = Number(process.env.IDLE_ROOM_SECONDS || 300) * 1000;
+
+// Tiempo base que tarda un bot en jugar (bajarlo agiliza las pruebas)
+const BOT_THINK_MS = Number(process.env.BOT_THINK_MS || 2500);
+
 function generateUniqueRoomCode() {
   const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   let result = '';
@@ -47,14 +177,389 @@ function sanitizeInput(str) {
     return String(str).trim().substring(0, 50).replace(/[<>]/g, "");
 }
 
+// Vista pública de los jugadores: nunca incluye roles ni sesiones
+function publicPlayers(room) {
+    return room.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        isDead: p.isDead,
+        disconnected: p.disconnected,
+        bot: Boolean(p.bot),
+        afk: Boolean(p.afk),
+        score: scoring.scoreOf(room, p)
+    }));
+}
+
+function playersUpdate(room) {
+    return {
+        players: publicPlayers(room),
+        hostId: room.host,
+        leaderboard: scoring.leaderboard(room)
+    };
+}
+
+// Lo que recibe un espectador al entrar: estado público, sin roles
+function spectatePayload(room, roomCode, spectator, sessionToken) {
+    return {
+        roomCode,
+        playerName: spectator.name,
+        sessionToken,
+        players: publicPlayers(room),
+        spectators: publicSpectators(room),
+        gameState: room.gameState,
+        rounds: publicRounds(room),
+        settings: room.settings,
+        chatHistory: chat.historyFor(room, spectator)
+    };
+}
+
+function publicSpectators(room) {
+    return room.spectators.map(s => ({ id: s.id, name: s.name }));
+}
+
+// Emite a cada miembro conectado (jugadores y espectadores) un payload
+// armado en su idioma: build(lang) → payload
+function emitLocalized(room, event, build) {
+    room.players.concat(room.spectators)
+        .filter(m => !m.disconnected)
+        .forEach(m => io.to(m.id).emit(event, build(m.lang)));
+}
+
+// Si el nombre ya está en uso en la sala, agrega un sufijo: "Ana (2)"
+function uniquePlayerName(room, playerName) {
+    const taken = new Set(room.players.concat(room.spectators).map(p => p.name.toLowerCase()));
+    if (!taken.has(playerName.toLowerCase())) return playerName;
+
+    let n = 2;
+    while (taken.has(`${playerName} (${n})`.toLowerCase())) n++;
+    return `${playerName} (${n})`;
+}
+
+// ─────────────────────────────────────────────
+//  VENCIMIENTOS
+// ─────────────────────────────────────────────
+// Los timers de cada fase se guardan en room.deadlines (tipo → timestamp) y
+// roomSync los programa al terminar cada handler. Al vencer se comprueba que
+// sigan vigentes: así sobreviven a un reinicio y en cluster disparan una vez.
+
 // Cancela el timer de votación de una sala si existe
 function clearVotingTimer(room) {
-    if (room._votingTimer) {
-        clearTimeout(room._votingTimer);
-        room._votingTimer = null;
+    delete room.deadlines.voting;
+}
+
+// Cancela el timer del turno de pistas de una sala si existe
+function clearTurnTimer(room) {
+    delete room.deadlines.turn;
+}
+
+function fireDeadline(roomCode, kind, at) {
+    const room = rooms[roomCode];
+    if (!room || room.deadlines[kind] !== at) return;
+    delete room.deadlines[kind];
+
+    switch (kind) {
+        case "turn": return onTurnTimeout(roomCode);
+        case "voting": return onVotingTimeout(roomCode);
+        case "guess": return onGuessTimeout(roomCode);
+        case "expiry": return expireIdleRoom(roomCode);
+        case "bots": return runBots(roomCode);
+        case "forfeit": return forfeitAbsentPlayers(roomCode);
+    }
+}
+
+// ─────────────────────────────────────────────
+//  FASE DE PISTAS
+// ─────────────────────────────────────────────
+// Cada ronda guarda el orden de turnos por sessionId (estable entre
+// reconexiones) y las pistas dadas. Hacia el cliente se traducen al id actual.
+
+function findPlayerBySession(room, sessionId) {
+    return room.players.find(p => p.sessionId === sessionId);
+}
+
+function currentRound(room) {
+    return room.rounds && room.rounds.length > 0 ? room.rounds[room.rounds.length - 1] : null;
+}
+
+function publicClue(room, clue) {
+    const player = findPlayerBySession(room, clue.sessionId);
+    return {
+        playerId: player ? player.id : null,
+        playerName: clue.playerName,
+        clue: clue.clue,
+        missed: clue.missed
+    };
+}
+
+function publicRounds(room) {
+    return (room.rounds || []).map(round => ({
+        round: round.number,
+        clues: round.clues.map(c => publicClue(room, c))
+    }));
+}
+
+function clueTurnPayload(room) {
+    const round = currentRound(room);
+    const player = findPlayerBySession(room, round.turnOrder[round.turnIndex]);
+    return {
+        round: round.number,
+        turnIndex: round.turnIndex,
+        playerId: player.id,
+        playerName: player.name,
+        turnOrder: round.turnOrder
+            .map(sid => findPlayerBySession(room, sid))
+            .filter(Boolean)
+            .map(p => ({ id: p.id, name: p.name })),
+        endsAt: round.turnEndsAt
+    };
+}
+
+// Arranca una ronda de pistas entre los vivos, empezando por startingPlayer
+function startCluePhase(roomCode, startingPlayer) {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const alive = room.players.filter(p => !p.isDead);
+    for (let i = alive.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [alive[i], alive[j]] = [alive[j], alive[i]];
+    }
+    const startIndex = Math.max(0, alive.indexOf(startingPlayer));
+    const turnOrder = alive.slice(startIndex).concat(alive.slice(0, startIndex)).map(p => p.sessionId);
+
+    if (!room.rounds) room.rounds = [];
+    room.rounds.push({
+        number: room.rounds.length + 1,
+        turnOrder,
+        turnIndex: -1,
+        turnEndsAt: null,
+        clues: []
+    });
+    room.gameState = "clues";
+    room.votes = {};
+    journal.record(room, "clue_round_started", {
+        round: room.rounds.length,
+        turnOrder: turnOrder.map(sessionId => findPlayerBySession(room, sessionId).name)
+    });
+
+    _nextClueTurn(roomCode);
+}
+
+function recordClue(roomCode, player, text, missed) {
+    const room = rooms[roomCode];
+    const round = currentRound(room);
+    const clue = { sessionId: player.sessionId, playerName: player.name, clue: text, missed: missed || null };
+    round.clues.push(clue);
+    journal.record(room, "clue", { round: round.number, player: player.name, clue: text, missed: clue.missed });
+
+    io.to(roomCode).emit("clue_submitted", { round: round.number, ...publicClue(room, clue) });
+}
+
+// Pasa al siguiente jugador vivo. Los desconectados pierden el turno al
+// instante; si no queda nadie, la ronda de pistas termina.
+function _nextClueTurn(roomCode) {
+    const room = rooms[roomCode];
+    if (!room || room.gameState !== "clues") return;
+
+    clearTurnTimer(room);
+    const round = currentRound(room);
+
+    while (++round.turnIndex < round.turnOrder.length) {
+        const player = findPlayerBySession(room, round.turnOrder[round.turnIndex]);
+        if (!player || player.isDead) continue;
+        if (player.disconnected) {
+            recordClue(roomCode, player, null, "disconnected");
+            continue;
+        }
+
+        round.turnEndsAt = Date.now() + room.settings.turnSeconds * 1000;
+        room.deadlines.turn = round.turnEndsAt;
+
+        io.to(roomCode).emit("clue_turn", clueTurnPayload(room));
+        scheduleBots(room);
+        return;
+    }
+
+    finishCluePhase(roomCode);
+}
+
+// Se acabó el turno: el jugador pierde su pista
+function onTurnTimeout(roomCode) {
+    const room = rooms[roomCode];
+    if (room.gameState !== "clues") return;
+
+    const round = currentRound(room);
+    const player = findPlayerBySession(room, round.turnOrder[round.turnIndex]);
+    if (player) {
+        console.log(`[${roomCode}] Timeout de turno de ${player.name}.`);
+        recordClue(roomCode, player, null, "timeout");
+        markAfk(roomCode, [player]);
+    }
+    _nextClueTurn(roomCode);
+}
+
+// Todos dieron su pista: queda la discusión y el host abre la votación
+function finishCluePhase(roomCode) {
+    const room = rooms[roomCode];
+    clearTurnTimer(room);
+    room.gameState = "playing";
+
+    const round = currentRound(room);
+    round.turnEndsAt = null;
+    io.to(roomCode).emit("clues_finished", {
+        round: round.number,
+        clues: round.clues.map(c => publicClue(room, c))
+    });
+}
+
+// Si el jugador que se va tenía el turno, se lo salta
+function skipTurnIfCurrent(roomCode, player) {
+    const room = rooms[roomCode];
+    if (!room || room.gameState !== "clues") return;
+
+    const round = currentRound(room);
+    if (round.turnOrder[round.turnIndex] !== player.sessionId) return;
+
+    recordClue(roomCode, player, null, "disconnected");
+    _nextClueTurn(roomCode);
+}
+
+// ─────────────────────────────────────────────
+//  VOTACIÓN
+// ─────────────────────────────────────────────
+
+// Valor de targetId para el voto "saltar" (si la sala lo permite)
+const SKIP_VOTE = "skip";
+
+// En segunda vuelta solo se puede votar a los empatados (room.runoff)
+function isVoteCandidate(room, player) {
+    if (!player || player.isDead) return false;
+    return !room.runoff || room.runoff.includes(player.sessionId);
+}
+
+function votingCandidates(room, lang) {
+    const candidates = room.players
+        .filter(p => isVoteCandidate(room, p))
+        .map(p => ({ id: p.id, name: p.name }));
+    if (room.settings.allowSkipVote) {
+        candidates.push({ id: SKIP_VOTE, isSkip: true, ...i18n.localize(lang, "name", "voting.skip") });
+    }
+    return candidates;
+}
+
+// Con changeableVotes el voto se puede cambiar hasta confirmarlo
+// (confirm_vote) o hasta que vence la votación; si no, queda fijo al votar.
+// room.voteLocks: voterId → true de los votos ya fijos.
+function lockVote(room, voterId) {
+    room.voteLocks[voterId] = true;
+}
+
+// "X de Y votaron" y, con votos públicos, el conteo y quién votó a quién
+function voteProgress(room) {
+    const voters = room.players.filter(p => !p.isDead && !p.disconnected);
+    const progress = {
+        voted: voters.filter(p => room.votes[p.id]).length,
+        confirmed: voters.filter(p => room.voteLocks[p.id]).length,
+        total: voters.length
+    };
+    return room.settings.voteVisibility === "public" ? { ...progress, ...voteBreakdown(room) } : progress;
+}
+
+// Conteo por candidato (más votado primero) y, con votos públicos, cada voto
+function voteBreakdown(room) {
+    const counts = {};
+    Object.values(room.votes).forEach(targetId => {
+        counts[targetId] = (counts[targetId] || 0) + 1;
+    });
+    const tally = Object.entries(counts)
+        .map(([targetId, votes]) => {
+            const target = room.players.find(p => p.id === targetId);
+            return { targetId, playerName: target ? target.name : null, votes };
+        })
+        .sort((a, b) => b.votes - a.votes);
+
+    if (room.settings.voteVisibility !== "public") return { tally };
+    return {
+        tally,
+        ballots: Object.entries(room.votes).map(([voterId, targetId]) => ({
+            voterId,
+            targetId,
+            locked: Boolean(room.voteLocks[voterId])
+        }))
+    };
+}
+
+// Abre una votación con el timer de la sala
+function openVoting(roomCode) {
+    const room = rooms[roomCode];
+    room.gameState = "voting";
+    room.votes = {};
+    room.voteLocks = {};
+    journal.record(room, "voting_opened", {
+        runoff: room.runoff ? room.runoff.map(sessionId => findPlayerBySession(room, sessionId).name) : null
+    });
+
+    // Timer de seguridad: si no votan todos a tiempo, procesamos igual
+    room.votingEndsAt = Date.now() + room.settings.voteSeconds * 1000;
+    room.deadlines.voting = room.votingEndsAt;
+
+    emitLocalized(room, "voting_phase_started", lang => votingCandidates(room, lang));
+    io.to(roomCode).emit("vote_progress", voteProgress(room));
+    scheduleBots(room);
+}
+
+function onVotingTimeout(roomCode) {
+    const room = rooms[roomCode];
+    console.log(`[${roomCode}] Timeout de votación. Procesando votos actuales.`);
+    if (room.gameState === "voting") {
+        roomSync.countMetric("votingTimeouts");
+        markAfk(roomCode, room.players.filter(p => !p.isDead && !p.disconnected && !room.votes[p.id]));
+        processVotingResult(roomCode);
     }
 }
 
+// Los votos anónimos se ocultan en vivo; la bitácora (el resumen de después)
+// guarda quién votó a quién salvo que el host apague revealBallots
+function journalKeepsBallots(room) {
+    return room.settings.voteVisibility === "public" || room.settings.revealBallots;
+}
+
+function journalVoter(room, voter) {
+    return journalKeepsBallots(room) ? { voter: voter.name } : {};
+}
+
+function registerVote(room, voter, targetId) {
+    const changed = Boolean(room.votes[voter.id]);
+    room.votes[voter.id] = targetId;
+    if (!changed) roomSync.countMetric("votesCast");
+    journal.record(room, "vote", {
+        ...journalVoter(room, voter),
+        target: targetId === SKIP_VOTE ? SKIP_VOTE : room.players.find(p => p.id === targetId).name,
+        changed
+    });
+    if (!room.settings.changeableVotes) lockVote(room, voter.id);
+}
+
+// Anota en la bitácora cada votación con el detalle voto a voto (si
+// journalKeepsBallots).
+// outcome: eliminated, runoff, tie, noVotes o skipped
+function journalVoting(room, tallies, outcome, victim) {
+    const nameOf = id => id === SKIP_VOTE ? SKIP_VOTE : (room.players.find(p => p.id === id) || {}).name || null;
+    const tally = {};
+    for (const [targetId, count] of Object.entries(tallies)) tally[nameOf(targetId)] = count;
+
+    journal.record(room, "voting_result", {
+        round: room.rounds.length,
+        runoff: Boolean(room.runoff),
+        ballots: journalKeepsBallots(room)
+            ? Object.entries(room.votes).map(([voterId, targetId]) => ({ voter: nameOf(voterId), target: nameOf(targetId) }))
+            : undefined,
+        tally,
+        outcome,
+        eliminated: victim ? victim.name : null
+    });
+}
+
 // Procesa resultado de votación: lógica central
 function processVotingResult(roomCode) {
     const room = rooms[roomCode];
@@ -68,71 +573,98 @@ function processVotingResult(roomCode) {
         tallies[targetId] = (tallies[targetId] || 0) + 1;
     });
 
-    // 2. Encontrar al más votado
-    let maxVotes = -1;
-    let eliminatedId = null;
+    // 2. Encontrar a los más votados (puede haber empate)
+    let maxVotes = 0;
+    let leaders = [];
 
     for (const [target, count] of Object.entries(tallies)) {
         if (count > maxVotes) {
             maxVotes = count;
-            eliminatedId = target;
+            leaders = [target];
+        } else if (count === maxVotes) {
+            leaders.push(target);
         }
     }
 
-    // 3. Ejecutar Eliminación
+    let eliminatedId = null;
+    let cancelReason = "voting.tie";
+
+    if (leaders.length === 0) {
+        cancelReason = "voting.noVotes";
+    } else if (leaders.includes(SKIP_VOTE)) {
+        cancelReason = "voting.skipped";
+    } else if (leaders.length === 1) {
+        eliminatedId = leaders[0];
+    } else if (room.settings.tieRule === "random") {
+        eliminatedId = leaders[Math.floor(Math.random() * leaders.length)];
+    } else if (room.settings.tieRule === "runoff" && !room.runoff) {
+        // Segunda vuelta entre los empatados (solo una; si vuelve a empatar, nadie sale)
+        journalVoting(room, tallies, "runoff", null);
+        room.runoff = room.players
+            .filter(p => leaders.includes(p.id))
+            .map(p => p.sessionId);
+        emitLocalized(room, "voting_runoff", lang => i18n.localize(lang, "reason", "voting.runoff"));
+        openVoting(roomCode);
+        return;
+    }
     const victimIndex = room.players.findIndex(p => p.id === eliminatedId);
+    const outcome = victimIndex !== -1 ? "eliminated" : cancelReason.replace("voting.", "");
+    const breakdown = voteBreakdown(room);
+    journalVoting(room, tallies, outcome, victimIndex !== -1 ? room.players[victimIndex] : null);
+    room.runoff = null;
+
+    // 3. Ejecutar Eliminación
 
     if (victimIndex !== -1) {
         const victim = room.players[victimIndex];
         victim.isDead = true;
+        scoring.awardVotingRound(room);
+        journal.record(room, "player_eliminated", { player: victim.name, role: victim.role });
 
-        const wasImpostor = (victim.roleData && victim.roleData.role === 'impostor');
+        const wasImpostor = roles.isInfiltrator(victim.role);
 
         // Notificar eliminación a todos (incluyendo desconectados cuando reconecten)
-        room.players.forEach(p => {
+        room.players.concat(room.spectators).forEach(p => {
             if (!p.disconnected) {
                 io.to(p.id).emit("player_eliminated", {
                     eliminatedId: victim.id,
                     playerName: victim.name,
                     isYou: (p.id === victim.id),
-                    wasImpostor: wasImpostor
+                    wasImpostor: wasImpostor,
+                    role: victim.role,
+                    ...breakdown
                 });
             }
         });
+        revealRolesToDead(room);
 
         // 4. VERIFICAR CONDICIONES DE VICTORIA
-        const remainingImpostors = room.players.filter(p => !p.isDead && p.roleData && p.roleData.role === 'impostor');
-
-        if (remainingImpostors.length === 0) {
-            io.to(roomCode).emit("game_over", {
-                winner: 'citizen',
-                reason: `¡Eliminaron a ${victim.name}! Era el Impostor.`,
-                impostorNames: [victim.name]
-            });
-            resetRoomToLobby(room, roomCode);
+        // El bufón gana si lo eliminan
+        if (victim.role === 'jester') {
+            endGame(roomCode, 'jester', "game.jesterWins", { name: victim.name });
             return;
         }
 
         const survivors = room.players.filter(p => !p.isDead);
-        const impostorsCount = remainingImpostors.length;
-        const citizensCount = survivors.length - impostorsCount;
+        const impostorsCount = survivors.filter(p => roles.isInfiltrator(p.role)).length;
+        const citizensCount = survivors.filter(p => p.role === 'citizen').length;
+
+        if (impostorsCount === 0) {
+            // Regla opcional: el último impostor tiene una chance de adivinar
+            if (room.settings.impostorGuess && roles.canGuessWord(victim.role)) {
+                startImpostorGuess(roomCode, victim);
+                return;
+            }
+            endGame(roomCode, 'citizen', "game.impostorEliminated", { name: victim.name });
+            return;
+        }
 
         if (impostorsCount >= citizensCount) {
-            const allImpostors = room.players
-                .filter(p => p.roleData && p.roleData.role === 'impostor')
-                .map(p => p.name);
-
-            io.to(roomCode).emit("game_over", {
-                winner: 'impostor',
-                reason: "Los Impostores han tomado el control de la nave.",
-                impostorNames: allImpostors
-            });
-            resetRoomToLobby(room, roomCode);
+            endGame(roomCode, 'impostor', "game.impostorsTookOver");
             return;
         }
 
         // 5. EL JUEGO SIGUE (NEXT ROUND)
-        room.gameState = "playing";
         room.votes = {};
 
         const aliveSurvivors = survivors.filter(p => !p.disconnected);
@@ -143,397 +675,1425 @@ function processVotingResult(roomCode) {
         io.to(roomCode).emit("next_round", {
             startingPlayer: nextPlayer.name
         });
+        startCluePhase(roomCode, nextPlayer);
 
     } else {
         // Empate o sin votos → continuar
+        scoring.awardVotingRound(room);
         room.gameState = "playing";
         room.votes = {};
         const survivors = room.players.filter(p => !p.isDead && !p.disconnected);
         const fallback = survivors[0] || room.players.find(p => !p.isDead);
-        io.to(roomCode).emit("voting_cancelled", { reason: "Empate en la votación. ¡Nadie fue eliminado!" });
+        emitLocalized(room, "voting_cancelled", lang => i18n.localize(lang, "reason", cancelReason));
         if (fallback) {
             io.to(roomCode).emit("next_round", { startingPlayer: fallback.name });
+            startCluePhase(roomCode, fallback);
         }
     }
 }
 
-function resetRoomToLobby(room, roomCode) {
+// ─────────────────────────────────────────────
+//  ÚLTIMA OPORTUNIDAD DEL IMPOSTOR
+// ─────────────────────────────────────────────
+// El impostor eliminado intenta adivinar la palabra secreta antes del
+// game_over. Si acierta, ganan los impostores.
+
+function clearGuessTimer(room) {
+    delete room.deadlines.guess;
+}
+
+function guessPayload(room) {
+    const guesser = findPlayerBySession(room, room.impostorGuess.sessionId);
+    return {
+        playerId: guesser ? guesser.id : null,
+        playerName: room.impostorGuess.playerName,
+        endsAt: room.impostorGuess.endsAt
+    };
+}
+
+function startImpostorGuess(roomCode, impostor) {
+    const room = rooms[roomCode];
+    const duration = room.settings.guessSeconds * 1000;
+
+    room.gameState = "impostor_guess";
+    room.votes = {};
+    room.impostorGuess = {
+        sessionId: impostor.sessionId,
+        playerName: impostor.name,
+        endsAt: Date.now() + duration
+    };
+
+    room.deadlines.guess = room.impostorGuess.endsAt;
+    io.to(roomCode).emit("impostor_guess_started", guessPayload(room));
+    scheduleBots(room);
+}
+
+function onGuessTimeout(roomCode) {
+    const room = rooms[roomCode];
+    console.log(`[${roomCode}] Timeout del intento del impostor.`);
+    if (room.gameState === "impostor_guess") {
+        const guesser = findPlayerBySession(room, room.impostorGuess.sessionId);
+        if (guesser) markAfk(roomCode, [guesser]);
+        resolveImpostorGuess(roomCode, null);
+    }
+}
+
+// guess === null significa que se le acabó el tiempo
+function resolveImpostorGuess(roomCode, guess) {
+    const room = rooms[roomCode];
+    if (!room || room.gameState !== "impostor_guess") return;
+
+    clearGuessTimer(room);
+    const { playerName } = room.impostorGuess;
+    const correct = guess !== null &&
+        wordBank.normalizeWord(guess) === wordBank.normalizeWord(room.secret.word);
+
+    journal.record(room, "impostor_guess", { player: playerName, guess, correct });
+
+    io.to(roomCode).emit("impostor_guess_result", {
+        playerName,
+        guess,
+        correct,
+        word: room.secret.word
+    });
+
+    if (correct) {
+        const guesser = findPlayerBySession(room, room.impostorGuess.sessionId);
+        if (guesser) scoring.awardGuess(room, guesser);
+        endGame(roomCode, 'impostor', "game.guessCorrect", { name: playerName });
+    } else {
+        endGame(roomCode, 'citizen', "game.guessFailed", { name: playerName });
+    }
+}
+
+// Anuncia el ganador revelando todos los roles y vuelve la sala al lobby.
+// reasonKey/params: el motivo como mensaje de i18n
+function endGame(roomCode, winner, reasonKey, params = {}) {
+    const room = rooms[roomCode];
+    scoring.awardWin(room, winner);
+    roomSync.countMetric("gamesFinished", winner);
+
+    const audit = room.roleAudit ? roleAudit.reveal(room.roleAudit.seed, room.roleAudit.draw) : null;
+    if (audit) journal.record(room, "role_audit_revealed", { seed: audit.seed });
+
+    const finished = journal.finishGame(room, {
+        winner,
+        reasonKey,
+        reasonParams: params,
+        word: room.secret ? room.secret.word : null
+    });
+
+    const summary = {
+        winner,
+        gameId: finished ? finished.gameId : null,
+        impostorNames: room.players.filter(p => roles.isInfiltrator(p.role)).map(p => p.name),
+        roles: room.players.filter(p => p.role).map(p => ({ name: p.name, role: p.role })),
+        word: room.secret ? room.secret.word : null,
+        leaderboard: scoring.leaderboard(room),
+        roleAudit: audit
+    };
+    emitLocalized(room, "game_over", lang => ({ ...summary, ...i18n.localize(lang, "reason", reasonKey, params) }));
+    resetRoomToLobby(room, roomCode);
+}
+
+// Si el host corta la partida, la bitácora se cierra sin ganador
+function abortGame(room) {
+    journal.finishGame(room, { winner: null, reasonKey: "game.aborted", reasonParams: {}, word: room.secret ? room.secret.word : null });
+}
+
+// ─────────────────────────────────────────────
+//  BOTS
+// ─────────────────────────────────────────────
+// Los bots juegan con el vencimiento "bots": cada vez que a uno le toca
+// (turno de pista, votación, adivinanza) se programa su jugada, y al vencer
+// juega uno solo y se vuelve a programar si hace falta.
+
+function clearBotTimer(room) {
+    delete room.deadlines.bots;
+}
+
+// Sin humanos conectados los bots esperan: la sala va camino a borrarse
+function scheduleBots(room) {
+    if (bots.pendingBot(room) && humanPlayers(room).some(p => !p.disconnected)) {
+        room.deadlines.bots = Date.now() + bots.thinkTime(BOT_THINK_MS);
+    } else {
+        clearBotTimer(room);
+    }
+}
+
+function runBots(roomCode) {
+    const room = rooms[roomCode];
+    const bot = bots.pendingBot(room);
+    if (!bot) return;
+
+    if (room.gameState === "clues") {
+        recordClue(roomCode, bot, bots.chooseClue(room, bot), null);
+        _nextClueTurn(roomCode);
+    } else if (room.gameState === "voting") {
+        const targetId = bots.chooseVote(room, bot);
+        if (!targetId) return;
+        registerVote(room, bot, targetId);
+        lockVote(room, bot.id);
+        _checkVotingCompletion(roomCode);
+    } else if (room.gameState === "impostor_guess") {
+        resolveImpostorGuess(roomCode, bots.chooseGuess(room, bot));
+    }
+
+    if (rooms[roomCode]) scheduleBots(room);
+}
+
+// Los bots no cuentan para mantener viva la sala ni pueden ser host
+function humanPlayers(room) {
+    return room.players.filter(p => !p.bot);
+}
+
+// ─────────────────────────────────────────────
+//  AUSENCIAS
+// ─────────────────────────────────────────────
+// - AFK: quien deja vencer su turno, su voto o su adivinanza queda marcado
+//   (afk en la lista de jugadores) hasta que vuelva a jugar o escriba.
+// - Desconectado en partida: guarda su lugar disconnectGraceSeconds; después
+//   abandona (queda eliminado) y se revisa si alguien ganó. Solo corre
+//   mientras haya alguien conectado: si no, se ocupa el vencimiento "expiry".
+// - Sala sin jugadores conectados: se borra pasado IDLE_ROOM_MS.
+
+function markAfk(roomCode, players) {
+    const room = rooms[roomCode];
+    const newlyAfk = players.filter(p => !p.afk && !p.bot);
+    if (newlyAfk.length === 0) return;
+
+    newlyAfk.forEach(p => {
+        p.afk = true;
+        journal.record(room, "player_afk", { player: p.name });
+    });
+    io.to(roomCode).emit("update_players", playersUpdate(room));
+}
+
+function clearAfk(roomCode, player) {
+    if (!player.afk) return;
+    player.afk = false;
+    io.to(roomCode).emit("update_players", playersUpdate(rooms[roomCode]));
+}
+
+// Solo juegan (y pueden abandonar) los que recibieron rol
+function absentPlayers(room) {
+    return room.players.filter(p => p.role && p.disconnected && !p.isDead);
+}
+
+function scheduleForfeits(room) {
+    const absent = absentPlayers(room);
+    const someoneConnected = humanPlayers(room).some(p => !p.disconnected);
+    if (room.gameState === "lobby" || absent.length === 0 || !someoneConnected) {
+        delete room.deadlines.forfeit;
+        return;
+    }
+    const grace = room.settings.disconnectGraceSeconds * 1000;
+    room.deadlines.forfeit = Math.min(...absent.map(p => p.disconnectedAt)) + grace;
+}
+
+// Sin jugadores conectados empieza la cuenta para borrar la sala (si ya
+// había un vencimiento antes, p. ej. el de una sala restaurada, queda ese)
+function scheduleIdleExpiry(room) {
+    if (humanPlayers(room).every(p => p.disconnected)) {
+        room.deadlines.expiry = Math.min(room.deadlines.expiry || Infinity, Date.now() + IDLE_ROOM_MS);
+    }
+}
+
+function forfeitAbsentPlayers(roomCode) {
+    const room = rooms[roomCode];
+    if (room.gameState === "lobby") return;
+
+    const now = Date.now();
+    const grace = room.settings.disconnectGraceSeconds * 1000;
+    const expired = absentPlayers(room).filter(p => now - p.disconnectedAt >= grace);
+
+    expired.forEach(p => {
+        p.isDead = true;
+        console.log(`[${roomCode}] ${p.name} abandonó la partida.`);
+        journal.record(room, "player_forfeited", { player: p.name, role: p.role });
+        io.to(roomCode).emit("player_forfeited", {
+            playerId: p.id,
+            playerName: p.name,
+            players: publicPlayers(room),
+            hostId: room.host
+        });
+    });
+
+    if (expired.length > 0 && checkVictory(roomCode)) return;
+    scheduleForfeits(room);
+}
+
+// Después de un abandono: ¿quedan impostores? ¿son mayoría?
+// Devuelve true si la partida terminó. Durante la adivinanza del impostor
+// decide resolveImpostorGuess.
+function checkVictory(roomCode) {
+    const room = rooms[roomCode];
+    if (room.gameState === "impostor_guess") return false;
+
+    const survivors = room.players.filter(p => !p.isDead);
+    const impostorsCount = survivors.filter(p => roles.isInfiltrator(p.role)).length;
+    const citizensCount = survivors.filter(p => p.role === 'citizen').length;
+
+    if (impostorsCount === 0) {
+        endGame(roomCode, 'citizen', "game.impostorsForfeited");
+        return true;
+    }
+    if (impostorsCount >= citizensCount) {
+        endGame(roomCode, 'impostor', "game.impostorsTookOver");
+        return true;
+    }
+    return false;
+}
+
+// ─────────────────────────────────────────────
+//  ESPECTADORES
+// ─────────────────────────────────────────────
+// Quien entra con la partida empezada mira desde room.spectators: recibe los
+// eventos públicos pero nunca roleData, y no cuenta para votos ni cupo.
+
+// Pasa espectadores a jugadores mientras haya cupo (al volver al lobby)
+function promoteSpectators(room, roomCode) {
+    while (room.spectators.length > 0 && room.players.length < room.settings.maxPlayers) {
+        const spectator = room.spectators.shift();
+        room.players.push({
+            id: spectator.id,
+            name: spectator.name,
+            sessionId: spectator.sessionId,
+            lang: spectator.lang,
+            isDead: false,
+            disconnected: false,
+            role: null,
+            roleData: null
+        });
+        io.to(spectator.id).emit("promoted_to_player", { roomCode });
+    }
+}
+
+// Con la opción deadSeeRoles, los eliminados pasan a ver todos los roles
+function revealedRoles(room) {
+    return room.players
+        .filter(p => p.role)
+        .map(p => ({ id: p.id, name: p.name, role: p.role }));
+}
+
+function revealRolesToDead(room) {
+    if (!room.settings.deadSeeRoles) return;
+    const payload = revealedRoles(room);
+    room.players
+        .filter(p => p.isDead && !p.disconnected)
+        .forEach(p => io.to(p.id).emit("roles_revealed", payload));
+}
+
+// Borra la sala: cuando ya no quedan jugadores, o forzado por un admin.
+// Quien siga adentro (espectadores, o todos si es forzado) se entera.
+function closeRoom(roomCode, reasonKey = "room.closed") {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    abortGame(room);
+    emitLocalized(room, "room_closed", lang => ({ roomCode, ...i18n.localize(lang, "reason", reasonKey) }));
+    io.in(roomCode).socketsLeave(roomCode);
+    room.players.concat(room.spectators).forEach(p => sessionMap.delete(p.id));
+    delete rooms[roomCode];
+    console.log(`Sala ${roomCode} eliminada: ${i18n.t(i18n.DEFAULT_LANGUAGE, reasonKey)}`);
+}
+
+// Deja la sala en el lobby sin nada de la partida: lo comparten el fin de
+// partida (resetRoomToLobby) y el reset del host (reset_game)
+function clearGameState(room, roomCode) {
     clearVotingTimer(room);
+    clearTurnTimer(room);
+    clearGuessTimer(room);
+    clearBotTimer(room);
+    delete room.deadlines.forfeit;
+    room.impostorGuess = null;
+    room.roleAudit = null;
+    room.secret = null;
     room.gameState = "lobby";
     room.votes = {};
+    room.voteLocks = {};
+    room.runoff = null;
+    room.rounds = [];
+    // Los canales privados de la partida no pasan a la siguiente
+    room.chatHistory = room.chatHistory.filter(entry => entry.channel === "all");
+
+    // Quien no volvió (ausente o que ya abandonó) pierde su lugar. Si no queda
+    // nadie conectado siguen marcados y la sala va camino a borrarse.
+    const someoneConnected = humanPlayers(room).some(p => !p.disconnected) || room.spectators.length > 0;
+    if (someoneConnected) {
+        room.players = room.players.filter(p => !p.disconnected);
+    }
     room.players.forEach(p => {
         p.isDead = false;
+        p.role = null;
         p.roleData = null;
-        p.disconnected = false; // al reiniciar, limpiar desconectados
+        p.afk = false;
     });
 
+    promoteSpectators(room, roomCode);
+
+    if (!room.players.some(p => p.id === room.host)) {
+        const nextHost = humanPlayers(room).find(p => !p.disconnected);
+        if (nextHost) {
+            room.host = nextHost.id;
+            io.to(nextHost.id).emit("you_are_now_host", {});
+        }
+    }
+    scheduleIdleExpiry(room);
+}
+
+function resetRoomToLobby(room, roomCode) {
+    clearGameState(room, roomCode);
+
+    // La sala ya está en el lobby; el aviso se demora para que se vea el
+    // resultado. No toca el estado: en cluster la sala puede estar en otro
+    // proceso cuando salte el timer.
+    const connectedPlayers = publicPlayers(room);
+    const spectators = publicSpectators(room);
     setTimeout(() => {
-        // Solo emitir a jugadores aún conectados
-        const connectedPlayers = room.players;
-        connectedPlayers.forEach(p => {
-            io.to(p.id).emit("game_reset", connectedPlayers);
-        });
+        io.to(roomCode).emit("game_reset", connectedPlayers);
+        io.to(roomCode).emit("update_spectators", spectators);
     }, 4000);
 }
 
 io.on("connection", (socket) => {
   console.log("Conectado:", socket.id);
 
+  // Registra un handler: valida el payload contra su esquema (src/schemas),
+  // lo corre con la sala bloqueada (ver roomSync) y contesta por ack con
+  // { ok, code, message } (src/errors) en el idioma del jugador. Si el
+  // cliente no manda ack, los errores siguen llegando como error_message.
+  const on = (event, handler, { locked = true } = {}) => {
+    socket.on(event, async (...args) => {
+      const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+      let result;
+      const { payload, error, params } = schemas.validate(event, args[0]);
+      if (error) {
+        result = fail("INVALID_PAYLOAD", error, params);
+      } else {
+        try {
+          result = locked
+            ? await roomSync.withRoom(payload.roomCode, () => handler(payload))
+            : await handler(payload);
+        } catch (err) {
+          console.error(`Error en ${event}:`, err.message);
+          result = fail("INTERNAL");
+        }
+      }
+
+      // El idioma que pida el evento o, si no, el elegido al entrar
+      const requested = args[0] && args[0].language;
+      const lang = i18n.resolveLanguage(i18n.LANGUAGES.includes(requested) ? requested : socket.data.lang);
+      result = localizeResult(result || ok(), lang);
+      if (ack) ack(result);
+      else if (!result.ok) socket.emit("error_message", result.message, { code: result.code, key: result.key, params: result.params });
+    });
+  };
+
   // ─────────────────────────────────────────────
   //  CREAR SALA
   // ─────────────────────────────────────────────
-  socket.on("create_room", (rawPlayerName) => {
+  const openRoom = async ({ playerName: rawPlayerName, language, password, visibility }) => {
     const lastCreation = roomCreationLimits.get(socket.id);
     const now = Date.now();
-    if (lastCreation && now - lastCreation < 10000) {
-        return socket.emit("error_message", "Espera unos segundos antes de crear otra sala.");
+    if (lastCreation && now - lastCreation < ROOM_CREATION_COOLDOWN_MS) {
+        return fail("RATE_LIMITED", "errors.createCooldown");
     }
     roomCreationLimits.set(socket.id, now);
 
     const playerName = sanitizeInput(rawPlayerName);
-    if (!playerName) return socket.emit("error_message", "Nombre inválido.");
+    if (!playerName) return fail("INVALID_NAME");
+    await leaveCurrentRoom();
+
+    // El código se confirma con la sala bloqueada: otro worker pudo tomarlo
+    const passwordHash = password ? await moderation.hashPassword(password) : null;
+    let roomCode = null;
+    while (!roomCode) {
+        const candidate = generateUniqueRoomCode();
+        roomCode = await roomSync.withRoom(candidate, () => {
+            if (rooms[candidate]) return null;
+            createRoom(candidate, playerName, language, passwordHash, visibility);
+            return candidate;
+        });
+    }
+    return ok({ roomCode });
+  };
+
+  on("create_room", openRoom, { locked: false });
 
-    const roomCode = generateUniqueRoomCode();
+  const createRoom = (roomCode, playerName, language, passwordHash, visibility) => {
+    const { sessionId, token } = session.issueSession(roomCode);
+    const lang = i18n.resolveLanguage(language);
+    socket.data.lang = lang;
     rooms[roomCode] = {
       host: socket.id,
-      players: [{ id: socket.id, name: playerName, isDead: false, disconnected: false, roleData: null }],
+      players: [{ id: socket.id, name: playerName, sessionId, lang, isDead: false, disconnected: false, role: null, roleData: null }],
       gameState: "lobby",
-      votes: {}
+      createdAt: Date.now(),
+      visibility,
+      language: lang,
+      spectators: [],
+      chatHistory: [],
+      scores: {},
+      votes: {},
+      voteLocks: {},
+      runoff: null,
+      rounds: [],
+      secret: null,
+      impostorGuess: null,
+      recentWords: [],
+      settings: roomSettings.createSettings(),
+      deadlines: {},
+      // Moderación (ver src/moderation.js)
+      locked: false,
+      passwordHash,
+      bans: [],
+      // Bitácora de la partida en curso y de las últimas (ver src/journal.js)
+      journal: null,
+      games: [],
+      // Roles recientes por sessionId (anti-racha) y sorteo auditado en curso
+      roleHistory: {},
+      roleAudit: null
     };
     socket.join(roomCode);
-    sessionMap.set(socket.id, { roomCode, playerName });
+    sessionMap.set(socket.id, { roomCode, playerName, sessionId });
 
     socket.emit("room_created", {
         roomCode,
         isHost: true,
-        players: rooms[roomCode].players
+        sessionToken: token,
+        players: publicPlayers(rooms[roomCode]),
+        settings: rooms[roomCode].settings,
+        locked: false,
+        hasPassword: Boolean(passwordHash),
+        visibility
     });
-  });
+  };
 
   // ─────────────────────────────────────────────
-  //  UNIRSE A SALA  (soporta reconexión)
+  //  UNIRSE A SALA  (soporta reconexión con token)
   // ─────────────────────────────────────────────
-  socket.on("join_room", ({ roomCode, playerName: rawName }) => {
+  // verifiedHash: el hash contra el que ya se comprobó la contraseña (ver
+  // join_room); si el host la cambió entretanto, no coincide
+  const joinRoom = ({ roomCode: code, playerName: rawName, sessionToken, language, verifiedHash }) => {
     const playerName = sanitizeInput(rawName);
-    if (!roomCode || !playerName) return socket.emit("error_message", "Datos inválidos.");
+    if (!playerName) return fail("INVALID_NAME");
 
-    const code = roomCode.toUpperCase();
     const room = rooms[code];
-
-    if (!room) return socket.emit("error_message", "Sala no encontrada.");
-    if (room.players.length >= 12) return socket.emit("error_message", "Sala llena.");
+    if (!room) return fail("ROOM_NOT_FOUND");
 
     // ── CASO: Reconexión durante juego o lobby ───────────────────────
-    // Si el nombre ya existe, permitimos que el nuevo socket tome el control
-    const existingPlayer = room.players.find(
-        p => p.name.toLowerCase() === playerName.toLowerCase()
-    );
-
-    if (existingPlayer) {
-        // Reconexión válida: actualizar socket ID y estado
-        const oldId = existingPlayer.id;
-        existingPlayer.id = socket.id;
-        existingPlayer.disconnected = false;
-
-        // Si era el host, transferir host al nuevo socket ID
-        if (room.host === oldId) {
-            room.host = socket.id;
+    // Solo quien presenta el token firmado de la sesión recupera su lugar.
+    // Un token de otra sala o de un jugador que ya no está se ignora.
+    const claims = sessionToken ? session.verifyToken(sessionToken) : null;
+    if (sessionToken) {
+        if (!claims) return fail("INVALID_SESSION");
+        if (moderation.isBanned(room, { sessionId: claims.sessionId })) return fail("BANNED");
+
+        const existingPlayer = claims.roomCode === code
+            ? room.players.find(p => p.sessionId === claims.sessionId)
+            : null;
+        const existingSpectator = claims.roomCode === code && !existingPlayer
+            ? room.spectators.find(s => s.sessionId === claims.sessionId)
+            : null;
+
+        if (existingSpectator) {
+            const oldId = existingSpectator.id;
+            existingSpectator.id = socket.id;
+            existingSpectator.lang = i18n.resolveLanguage(language || existingSpectator.lang);
+            socket.data.lang = existingSpectator.lang;
+            if (oldId !== socket.id) {
+                io.in(oldId).socketsLeave(code);
+                sessionMap.delete(oldId);
+            }
+            socket.join(code);
+            sessionMap.set(socket.id, { roomCode: code, playerName: existingSpectator.name, sessionId: existingSpectator.sessionId });
+            socket.emit("spectate_success", spectatePayload(room, code, existingSpectator, sessionToken));
+            return ok({ roomCode: code, spectator: true });
         }
 
-        socket.join(code);
-        sessionMap.set(socket.id, { roomCode: code, playerName });
-
-        // Avisarle su estado actual
-        socket.emit("rejoin_success", {
-            roomCode: code,
-            players: room.players,
-            gameState: room.gameState,
-            isHost: (room.host === socket.id),
-            roleData: existingPlayer.roleData || null
-        });
+        if (existingPlayer) {
+            // Reconexión válida: actualizar socket ID y estado
+            const oldId = existingPlayer.id;
+            existingPlayer.id = socket.id;
+            existingPlayer.disconnected = false;
+            delete existingPlayer.disconnectedAt;
+            existingPlayer.lang = i18n.resolveLanguage(language || existingPlayer.lang);
+            socket.data.lang = existingPlayer.lang;
+            journal.record(room, "player_reconnected", { player: existingPlayer.name });
+
+            // Si el socket viejo sigue vivo (p. ej. otra pestaña), sacarlo de la sala
+            if (oldId !== socket.id) {
+                io.in(oldId).socketsLeave(code);
+                sessionMap.delete(oldId);
+            }
 
-        // Avisar a todos que volvió
-        io.to(code).emit("player_reconnected", {
-            playerId: socket.id,
-            playerName: existingPlayer.name,
-            players: room.players,
-            hostId: room.host
-        });
+            // Si era el host, transferir host al nuevo socket ID.
+            // Si el host no está (p. ej. tras un reinicio), el que vuelve lo toma.
+            const currentHost = room.players.find(p => p.id === room.host);
+            if (room.host === oldId || !currentHost || currentHost.disconnected) {
+                room.host = socket.id;
+            }
 
-        // Si la votación estaba activa, avisarle los candidatos actuales
-        if (room.gameState === "voting") {
-            const alivePlayers = room.players.filter(p => !p.isDead);
-            const candidates = alivePlayers.map(p => ({ id: p.id, name: p.name }));
-            socket.emit("voting_phase_started", candidates);
-        }
+            // Los votos están indexados por socket ID: moverlos al nuevo
+            if (oldId !== socket.id) {
+                if (room.votes[oldId]) {
+                    room.votes[socket.id] = room.votes[oldId];
+                    delete room.votes[oldId];
+                }
+                if (room.voteLocks[oldId]) {
+                    room.voteLocks[socket.id] = true;
+                    delete room.voteLocks[oldId];
+                }
+                for (const voterId in room.votes) {
+                    if (room.votes[voterId] === oldId) room.votes[voterId] = socket.id;
+                }
+            }
 
-        return;
+            socket.join(code);
+            sessionMap.set(socket.id, { roomCode: code, playerName: existingPlayer.name, sessionId: existingPlayer.sessionId });
+
+            // Avisarle su estado actual
+            socket.emit("rejoin_success", {
+                roomCode: code,
+                sessionToken,
+                players: publicPlayers(room),
+                gameState: room.gameState,
+                isHost: (room.host === socket.id),
+                roleData: existingPlayer.roleData || null,
+                rounds: publicRounds(room),
+                settings: room.settings,
+                locked: room.locked,
+                roleAudit: room.roleAudit ? roleAudit.publish(room.roleAudit.seed, room.roleAudit.draw) : null,
+                chatHistory: chat.historyFor(room, existingPlayer),
+                leaderboard: scoring.leaderboard(room)
+            });
+
+            // Avisar a todos que volvió
+            io.to(code).emit("player_reconnected", {
+                playerId: socket.id,
+                playerName: existingPlayer.name,
+                players: publicPlayers(room),
+                hostId: room.host
+            });
+
+            // Con alguien conectado vuelven a correr los abandonos y los bots
+            scheduleForfeits(room);
+            scheduleBots(room);
+
+            // Si hay un turno de pistas en curso, avisarle de quién es
+            if (room.gameState === "clues") {
+                socket.emit("clue_turn", clueTurnPayload(room));
+            }
+
+            // Si la votación estaba activa, avisarle los candidatos actuales
+            if (room.gameState === "voting") {
+                socket.emit("voting_phase_started", votingCandidates(room, existingPlayer.lang));
+                socket.emit("vote_progress", { ...voteProgress(room), yourVote: room.votes[socket.id] || null });
+            }
+
+            // Si el impostor eliminado está por adivinar, recordárselo
+            if (room.gameState === "impostor_guess") {
+                socket.emit("impostor_guess_started", guessPayload(room));
+            }
+
+            // Muerto con deadSeeRoles: vuelve a ver los roles
+            if (existingPlayer.isDead && room.settings.deadSeeRoles) {
+                socket.emit("roles_revealed", revealedRoles(room));
+            }
+
+            return ok({ roomCode: code, spectator: false });
+        }
     }
 
-    // ── CASO: Jugador nuevo ───────────────────────────────────────────
+    // ── Entrada nueva: pasa por baneos, candado y contraseña ───────────
+    // Quien ya tenía sesión en esta sala (y no está baneada) no se frena por
+    // el nombre: p. ej. se le cayó la conexión en el lobby y perdió el lugar
+    const returning = claims && claims.roomCode === code;
+    if (!returning && moderation.isBanned(room, { name: playerName })) return fail("BANNED");
+    if (room.locked) return fail("ROOM_LOCKED");
+    if (room.passwordHash && room.passwordHash !== verifiedHash) return fail("WRONG_PASSWORD");
+
+    // Un nombre repetido no da acceso al lugar de otro: se le agrega sufijo
+    const finalName = uniquePlayerName(room, playerName);
+    // Quien vuelve con su token sigue con la misma sesión: así no pierde sus
+    // puntos (room.scores va por sessionId)
+    const { sessionId, token } = returning
+        ? { sessionId: claims.sessionId, token: session.buildToken(code, claims.sessionId) }
+        : session.issueSession(code);
+    const lang = i18n.resolveLanguage(language);
+
+    // ── CASO: Partida en curso → entra como espectador ──────────────
     if (room.gameState !== "lobby") {
-        return socket.emit("error_message", "La partida ya empezó y no estabas en esta sala.");
+        const spectator = { id: socket.id, name: finalName, sessionId, lang, spectator: true };
+        socket.data.lang = lang;
+        room.spectators.push(spectator);
+        socket.join(code);
+        sessionMap.set(socket.id, { roomCode: code, playerName: finalName, sessionId });
+
+        socket.emit("spectate_success", spectatePayload(room, code, spectator, token));
+        io.to(code).emit("update_spectators", publicSpectators(room));
+        return ok({ roomCode: code, spectator: true });
     }
 
-    room.players.push({ id: socket.id, name: playerName, isDead: false, disconnected: false, roleData: null });
+    // ── CASO: Jugador nuevo ───────────────────────────────────────────
+    if (room.players.length >= room.settings.maxPlayers) return fail("ROOM_FULL");
+
+    const newPlayer = { id: socket.id, name: finalName, sessionId, lang, isDead: false, disconnected: false, role: null, roleData: null };
+    socket.data.lang = lang;
+    room.players.push(newPlayer);
     socket.join(code);
-    sessionMap.set(socket.id, { roomCode: code, playerName });
+    sessionMap.set(socket.id, { roomCode: code, playerName: finalName, sessionId });
+
+    socket.emit("join_success", {
+        roomCode: code,
+        playerName: finalName,
+        sessionToken: token,
+        players: publicPlayers(room),
+        settings: room.settings,
+        locked: room.locked,
+        chatHistory: chat.historyFor(room, newPlayer),
+        leaderboard: scoring.leaderboard(room)
+    });
+    io.to(code).emit("update_players", playersUpdate(room));
+    return ok({ roomCode: code, spectator: false });
+  };
 
-    socket.emit("join_success", { roomCode: code, players: room.players });
-    io.to(code).emit("update_players", { players: room.players, hostId: room.host });
-  });
+  // La contraseña se comprueba antes de bloquear la sala: scrypt tarda y no
+  // debe frenar a los demás eventos de la sala
+  on("join_room", async payload => {
+    if (chat.isRateLimited(joinRateLimits, socket.id)) {
+        return fail("RATE_LIMITED", "errors.joinTooFast");
+    }
+
+    const code = payload.roomCode;
+    await leaveCurrentRoom(code);
+    const passwordHash = await roomSync.withRoom(code, () => rooms[code] ? rooms[code].passwordHash : null);
+    const verifiedHash = passwordHash && await moderation.checkPassword(passwordHash, payload.password)
+        ? passwordHash
+        : null;
+    return roomSync.withRoom(code, () => joinRoom({ ...payload, verifiedHash }));
+  }, { locked: false });
+
+  // ─────────────────────────────────────────────
+  //  SALAS PÚBLICAS
+  // ─────────────────────────────────────────────
+  // watch_lobbies devuelve el listado y suscribe a lobby_updated
+  // ({ roomCode, lobby }, lobby null = ya no está listada)
+  on("watch_lobbies", async ({ language }) => {
+    socket.join(LOBBY_WATCHERS);
+    const allRooms = await roomSync.listRooms();
+    return ok({ lobbies: lobbies.listLobbies(allRooms, { language }) });
+  }, { locked: false });
+
+  on("unwatch_lobbies", () => {
+    socket.leave(LOBBY_WATCHERS);
+  }, { locked: false });
+
+  // Entra a la mejor sala pública abierta o, si no hay, crea una
+  on("quick_join", async ({ playerName, language }) => {
+    if (!sanitizeInput(playerName)) return fail("INVALID_NAME");
+
+    const current = sessionMap.get(socket.id);
+    await leaveCurrentRoom();
+
+    const allRooms = await roomSync.listRooms();
+    for (const code of lobbies.quickJoinCandidates(allRooms, i18n.resolveLanguage(language))) {
+        if (current && current.roomCode === code) continue;
+        // El listado pudo quedar viejo: se revisa de nuevo con la sala bloqueada
+        const result = await roomSync.withRoom(code, () =>
+            rooms[code] && lobbies.isOpen(rooms[code]) ? joinRoom({ roomCode: code, playerName, language }) : null);
+        if (result && result.ok) return { ...result, created: false };
+    }
+
+    const result = await openRoom({ playerName, language, visibility: "public" });
+    return result.ok ? { ...result, created: true } : result;
+  }, { locked: false });
 
   // ─────────────────────────────────────────────
   //  SALIR VOLUNTARIO
   // ─────────────────────────────────────────────
-  const handlePlayerExit = (roomCode) => {
+  // memberId: quien sale; por defecto este socket (el host lo usa para expulsar)
+  const handlePlayerExit = (roomCode, memberId = socket.id) => {
     const room = rooms[roomCode];
-    if (!room) return;
+    if (!room) return fail("ROOM_NOT_FOUND");
+
+    // Los espectadores se van sin más
+    const spectatorIndex = room.spectators.findIndex(s => s.id === memberId);
+    if (spectatorIndex !== -1) {
+        room.spectators.splice(spectatorIndex, 1);
+        sessionMap.delete(memberId);
+        io.to(roomCode).emit("update_spectators", publicSpectators(room));
+        return ok();
+    }
 
-    const playerIndex = room.players.findIndex(p => p.id === socket.id);
-    if (playerIndex === -1) return;
+    const playerIndex = room.players.findIndex(p => p.id === memberId);
+    if (playerIndex === -1) return fail("NOT_IN_ROOM");
 
-    const wasHost = (room.host === socket.id);
-    room.players.splice(playerIndex, 1);
+    const wasHost = (room.host === memberId);
+    const [leaver] = room.players.splice(playerIndex, 1);
+    journal.record(room, "player_left", { player: leaver.name, kicked: memberId !== socket.id });
+    // Su voto no cuenta más: si no, la votación podría cerrarse antes de tiempo
+    delete room.votes[memberId];
+    delete room.voteLocks[memberId];
 
-    sessionMap.delete(socket.id);
+    sessionMap.delete(memberId);
 
-    if (room.players.length === 0) {
-        clearVotingTimer(room);
-        delete rooms[roomCode];
-        console.log(`Sala ${roomCode} eliminada (vacía).`);
+    if (humanPlayers(room).length === 0) {
+        closeRoom(roomCode);
     } else {
         if (wasHost) {
-            room.host = room.players[0].id;
+            room.host = humanPlayers(room)[0].id;
+        }
+        io.to(roomCode).emit("update_players", playersUpdate(room));
+        // Sin quien se fue (o lo sacaron) puede que un bando ya haya ganado
+        if (leaver.role && !leaver.isDead && room.gameState !== "lobby" && checkVictory(roomCode)) {
+            return ok();
         }
-        io.to(roomCode).emit("update_players", {
-            players: room.players,
-            hostId: room.host
-        });
         // Si la votación quedó sin suficientes jugadores, resolverla
         if (room.gameState === "voting") {
             _checkVotingCompletion(roomCode);
         }
+        // Si era su turno de pista, pasar al siguiente
+        skipTurnIfCurrent(roomCode, leaver);
+        // Si era el impostor que iba a adivinar, pierde la oportunidad
+        if (room.gameState === "impostor_guess" && room.impostorGuess.sessionId === leaver.sessionId) {
+            resolveImpostorGuess(roomCode, null);
+        }
     }
+    return ok();
+  };
+
+  // Un socket juega en una sola sala (sessionMap): antes de crear o entrar a
+  // otra deja la actual, si no quedaría ahí como fantasma conectado.
+  // nextCode: la sala a la que va, si vuelve a la misma no sale.
+  const leaveCurrentRoom = async (nextCode) => {
+    const current = sessionMap.get(socket.id);
+    if (!current || current.roomCode === nextCode) return;
+    socket.leave(current.roomCode);
+    await roomSync.withRoom(current.roomCode, () => handlePlayerExit(current.roomCode));
   };
 
-  socket.on("leave_room", (roomCode) => {
-    handlePlayerExit(roomCode);
+  on("leave_room", ({ roomCode }) => {
     socket.leave(roomCode);
+    return handlePlayerExit(roomCode);
+  });
+
+  // ─────────────────────────────────────────────
+  //  MODERACIÓN (SOLO HOST)
+  // ─────────────────────────────────────────────
+  // Expulsar saca al jugador o espectador como si se hubiera ido; banear
+  // además le impide volver (ver src/moderation.js).
+  const removeMember = (roomCode, targetId, banned) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (targetId === socket.id) return fail("NOT_ALLOWED");
+
+    const target = room.players.find(p => p.id === targetId) ||
+        room.spectators.find(s => s.id === targetId);
+    if (!target) return fail("PLAYER_NOT_FOUND");
+
+    if (banned) moderation.ban(room, target);
+    console.log(`[${roomCode}] ${target.name} ${banned ? "baneado" : "expulsado"}.`);
+
+    const reasonKey = banned ? "moderation.banned" : "moderation.kicked";
+    io.to(targetId).emit("kicked", { roomCode, banned, ...i18n.localize(target.lang, "reason", reasonKey) });
+    io.in(targetId).socketsLeave(roomCode);
+    return handlePlayerExit(roomCode, targetId);
+  };
+
+  on("kick_player", ({ roomCode, playerId }) => removeMember(roomCode, playerId, false));
+
+  on("ban_player", ({ roomCode, playerId }) => removeMember(roomCode, playerId, true));
+
+  on("transfer_host", ({ roomCode, playerId }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+
+    const target = room.players.find(p => p.id === playerId);
+    if (!target || target.disconnected) return fail("PLAYER_NOT_FOUND");
+    if (target.bot) return fail("NOT_ALLOWED");
+    if (target.id === socket.id) return ok();
+
+    room.host = target.id;
+    io.to(target.id).emit("you_are_now_host", {});
+    io.to(roomCode).emit("update_players", playersUpdate(room));
+  });
+
+  // Con candado no entra nadie nuevo; las reconexiones siguen funcionando
+  on("lock_room", ({ roomCode, locked }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+
+    room.locked = locked;
+    io.to(roomCode).emit("room_lock_updated", { locked });
+  });
+
+  // ─────────────────────────────────────────────
+  //  BOTS (SOLO HOST)
+  // ─────────────────────────────────────────────
+  on("add_bot", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (room.gameState !== "lobby") return fail("WRONG_STATE", "errors.botsLobbyOnly");
+    if (room.players.length >= room.settings.maxPlayers) return fail("ROOM_FULL");
+
+    const number = room.players.filter(p => p.bot).length + 1;
+    const name = uniquePlayerName(room, i18n.t(room.language, "bots.name", { number }));
+    const bot = bots.createBot(name, room.language);
+    room.players.push(bot);
+
+    io.to(roomCode).emit("update_players", playersUpdate(room));
+    return ok({ playerId: bot.id });
+  });
+
+  // También sirve en plena partida: el bot sale como un jugador que se va
+  on("remove_bot", ({ roomCode, playerId }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+
+    const target = room.players.find(p => p.id === playerId);
+    if (!target || !target.bot) return fail("PLAYER_NOT_FOUND");
+    return handlePlayerExit(roomCode, target.id);
   });
 
   // ─────────────────────────────────────────────
   //  INICIAR JUEGO
   // ─────────────────────────────────────────────
-  socket.on("start_game", ({ roomCode, wordData, impostorCount }) => {
+  // Dos formas de elegir la palabra:
+  //  - { packId, categoryId? }: el servidor la sortea y nadie la ve antes de tiempo
+  //  - { wordData }: el host manda palabra/categoría/pista (y decoy para undercover)
+  on("start_game", ({ roomCode, wordData, packId, categoryId, impostorCount }) => {
     const room = rooms[roomCode];
-    if (!room || room.host !== socket.id) return;
-    if (!wordData || !wordData.word || !wordData.category) return;
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (room.gameState !== "lobby") return fail("WRONG_STATE");
+
+    let secret;
+    if (packId) {
+        secret = wordBank.pickWord(packId, categoryId, room.recentWords);
+        if (!secret) return fail("PACK_NOT_FOUND");
+    } else {
+        if (!wordData) return fail("INVALID_PAYLOAD", "errors.missingWord");
+        secret = { word: wordData.word, category: wordData.category, hint: wordData.hint, decoy: wordData.decoy || null };
+    }
+
+    const { gameMode, jester, roleSelection } = room.settings;
+    if (gameMode === "undercover" && !secret.decoy) {
+        return fail("DECOY_REQUIRED");
+    }
 
     // Solo jugadores conectados participan
     const activePlayers = room.players.filter(p => !p.disconnected);
     if (activePlayers.length < 3) {
-        return socket.emit("error_message", "Se necesitan mínimo 3 jugadores activos para iniciar.");
+        return fail("NOT_ENOUGH_PLAYERS", "errors.minActivePlayers", { min: 3 });
     }
 
-    const playerIds = activePlayers.map(p => p.id);
-    const impostors = [];
-    const maxImpostors = Math.max(1, playerIds.length - 1);
-    const finalImpostorCount = Math.min(impostorCount, maxImpostors);
-
-    while (impostors.length < finalImpostorCount) {
-        const r = Math.floor(Math.random() * playerIds.length);
-        if (!impostors.includes(playerIds[r])) impostors.push(playerIds[r]);
-    }
+    const seed = roleAudit.createSeed();
+    const assignment = roles.assignRoles(activePlayers, {
+        mode: gameMode,
+        impostorCount,
+        jester,
+        strategy: roleSelection,
+        history: room.roleHistory,
+        seed
+    });
+    if (assignment.error) return fail("NOT_ENOUGH_PLAYERS", assignment.error);
 
-    const startingPlayerIndex = Math.floor(Math.random() * activePlayers.length);
-    const startingPlayerName = activePlayers[startingPlayerIndex].name;
+    // Mr. White nunca abre la ronda: sería demasiado evidente
+    const starters = activePlayers.filter(p => assignment.roles.get(p.sessionId) !== "mrwhite");
+    const startingPlayer = starters[Math.floor(Math.random() * starters.length)];
 
-    room.gameState = "playing";
     room.votes = {};
+    room.runoff = null;
+    room.rounds = [];
+    room.secret = secret;
+    wordBank.rememberWord(room, secret.word);
+
+    roomSync.countMetric("gamesStarted");
 
     // Asignar roles SOLO a jugadores activos
     activePlayers.forEach(player => {
-        const isImpostor = impostors.includes(player.id);
-        player.roleData = {
-            role: isImpostor ? "impostor" : "citizen",
-            word: isImpostor ? null : wordData.word,
-            category: wordData.category,
-            impostorHint: isImpostor ? wordData.hint : null,
-            startingPlayer: startingPlayerName
-        };
+        player.role = assignment.roles.get(player.sessionId);
+        player.roleData = roles.buildRoleData(player.role, secret, startingPlayer.name);
         player.isDead = false;
         io.to(player.id).emit("game_started", player.roleData);
     });
+    roles.rememberRoles(room.roleHistory, activePlayers);
+
+    // Con auditoría se publica el hash del sorteo; la semilla va en game_over
+    room.roleAudit = room.settings.roleAudit ? { seed, draw: assignment.draw } : null;
+    if (room.roleAudit) io.to(roomCode).emit("role_audit", roleAudit.publish(seed, assignment.draw));
+
+    journal.startGame(room, roomCode, {
+        mode: gameMode,
+        word: secret.word,
+        decoy: secret.decoy,
+        category: secret.category,
+        roles: activePlayers.map(p => ({ player: p.name, role: p.role })),
+        startingPlayer: startingPlayer.name,
+        roleAudit: room.roleAudit ? roleAudit.publish(seed, assignment.draw) : null
+    });
+
+    startCluePhase(roomCode, startingPlayer);
   });
 
   // ─────────────────────────────────────────────
-  //  RESET
+  //  CONFIGURACIÓN DE SALA (SOLO HOST, EN LOBBY)
   // ─────────────────────────────────────────────
-  socket.on("reset_game", (roomCode) => {
+  on("update_settings", ({ roomCode, settings }) => {
     const room = rooms[roomCode];
-    if (room && room.host === socket.id) {
-        clearVotingTimer(room);
-        room.gameState = "lobby";
-        room.votes = {};
-        room.players.forEach(p => {
-            p.isDead = false;
-            p.roleData = null;
-        });
-        io.to(roomCode).emit("game_reset", room.players);
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (room.gameState !== "lobby") {
+        return fail("WRONG_STATE", "errors.settingsLobbyOnly");
     }
+
+    const result = roomSettings.applySettings(room.settings, settings, { playerCount: room.players.length });
+    if (result.error) return fail("INVALID_SETTINGS", result.error, result.params);
+
+    room.settings = result.settings;
+    io.to(roomCode).emit("settings_updated", room.settings);
+  });
+
+  // ─────────────────────────────────────────────
+  //  REINICIAR PUNTAJE (SOLO HOST)
+  // ─────────────────────────────────────────────
+  on("reset_scores", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+
+    room.scores = {};
+    io.to(roomCode).emit("update_players", playersUpdate(room));
+  });
+
+  // ─────────────────────────────────────────────
+  //  RESET
+  // ─────────────────────────────────────────────
+  on("reset_game", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+
+    abortGame(room);
+    clearGameState(room, roomCode);
+    io.to(roomCode).emit("game_reset", publicPlayers(room));
+    io.to(roomCode).emit("update_spectators", publicSpectators(room));
+  });
+
+  // ─────────────────────────────────────────────
+  //  DAR PISTA (solo en tu turno)
+  // ─────────────────────────────────────────────
+  on("submit_clue", ({ roomCode, clue }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.gameState !== "clues") return fail("WRONG_STATE");
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return fail("NOT_IN_ROOM");
+    const round = currentRound(room);
+    if (round.turnOrder[round.turnIndex] !== player.sessionId) return fail("NOT_YOUR_TURN");
+
+    const cleanClue = sanitizeInput(clue);
+    if (!cleanClue) return fail("INVALID_TEXT", "errors.invalidClue");
+
+    clearTurnTimer(room);
+    clearAfk(roomCode, player);
+    recordClue(roomCode, player, cleanClue, null);
+    _nextClueTurn(roomCode);
+  });
+
+  // ─────────────────────────────────────────────
+  //  INTENTO DEL IMPOSTOR ELIMINADO
+  // ─────────────────────────────────────────────
+  on("impostor_guess", ({ roomCode, guess }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.gameState !== "impostor_guess") return fail("WRONG_STATE");
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return fail("NOT_IN_ROOM");
+    if (player.sessionId !== room.impostorGuess.sessionId) return fail("NOT_ALLOWED");
+
+    const cleanGuess = sanitizeInput(guess);
+    if (!cleanGuess) return fail("INVALID_TEXT", "errors.invalidGuess");
+
+    clearAfk(roomCode, player);
+    resolveImpostorGuess(roomCode, cleanGuess);
   });
 
   // ─────────────────────────────────────────────
   //  CHAT
   // ─────────────────────────────────────────────
-  socket.on("send_chat", ({ roomCode, message, playerName }) => {
-    if (!message || typeof message !== 'string') return;
+  // El remitente sale del estado del servidor, nunca del payload
+  on("send_chat", ({ roomCode, message, channel }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+
+    const member = room.players.find(p => p.id === socket.id) ||
+        room.spectators.find(s => s.id === socket.id);
+    if (!member) return fail("NOT_IN_ROOM");
+
     const cleanMessage = sanitizeInput(message);
-    const cleanName = sanitizeInput(playerName);
-    if (cleanMessage.length > 0) {
-        io.to(roomCode).emit("receive_chat", {
-            playerName: cleanName,
-            message: cleanMessage,
-            playerId: socket.id
-        });
+    if (cleanMessage.length === 0) return fail("INVALID_TEXT", "errors.emptyMessage");
+
+    const error = chat.postError(room, member, channel);
+    if (error) return fail("CHAT_FORBIDDEN", error);
+
+    if (chat.isRateLimited(chatRateLimits, member.sessionId)) {
+        return fail("RATE_LIMITED", "errors.chatTooFast");
+    }
+
+    const entry = {
+        channel,
+        playerName: member.name,
+        message: cleanMessage,
+        playerId: socket.id,
+        at: Date.now()
+    };
+    chat.addToHistory(room, entry);
+    clearAfk(roomCode, member);
+    journal.record(room, "chat", { channel, player: member.name, message: cleanMessage });
+
+    if (channel === "all") {
+        io.to(roomCode).emit("receive_chat", entry);
+    } else {
+        room.players.concat(room.spectators)
+            .filter(m => !m.disconnected && chat.canRead(room, m, channel))
+            .forEach(m => io.to(m.id).emit("receive_chat", entry));
     }
   });
 
   // ─────────────────────────────────────────────
   //  INICIAR VOTACIÓN
   // ─────────────────────────────────────────────
-  socket.on("start_voting", (roomCode) => {
+  // Se abre al terminar la ronda de pistas, o antes si el host la fuerza
+  on("start_voting", ({ roomCode }) => {
     const room = rooms[roomCode];
-    if (!room || room.host !== socket.id) return;
-    if (room.gameState !== "playing") return;
-
-    room.gameState = "voting";
-    room.votes = {};
-
-    const alivePlayers = room.players.filter(p => !p.isDead);
-    const candidates = alivePlayers.map(p => ({ id: p.id, name: p.name }));
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (room.gameState !== "playing" && room.gameState !== "clues") return fail("WRONG_STATE");
 
-    io.to(roomCode).emit("voting_phase_started", candidates);
-
-    // Timer de seguridad: si en 120s no votan todos, procesamos igual
-    clearVotingTimer(room);
-    room._votingTimer = setTimeout(() => {
-        console.log(`[${roomCode}] Timeout de votación. Procesando votos actuales.`);
-        if (room.gameState === "voting") {
-            processVotingResult(roomCode);
-        }
-    }, 120000);
+    clearTurnTimer(room);
+    room.runoff = null;
+    openVoting(roomCode);
   });
 
   // ─────────────────────────────────────────────
   //  CANCELAR VOTACIÓN (SOLO HOST)
   // ─────────────────────────────────────────────
-  socket.on("cancel_voting", (roomCode) => {
+  on("cancel_voting", ({ roomCode }) => {
     const room = rooms[roomCode];
-    if (!room || room.host !== socket.id) return;
-    if (room.gameState !== "voting") return;
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.host !== socket.id) return fail("NOT_HOST");
+    if (room.gameState !== "voting") return fail("WRONG_STATE");
 
     clearVotingTimer(room);
     room.gameState = "playing";
     room.votes = {};
+    room.runoff = null;
+    journal.record(room, "voting_cancelled", { by: "host" });
 
-    io.to(roomCode).emit("voting_cancelled", { reason: "El anfitrión canceló la votación." });
+    emitLocalized(room, "voting_cancelled", lang => i18n.localize(lang, "reason", "voting.cancelledByHost"));
   });
 
   // ─────────────────────────────────────────────
   //  RECIBIR VOTO
   // ─────────────────────────────────────────────
-  socket.on("cast_vote", ({ roomCode, targetId }) => {
+  on("cast_vote", ({ roomCode, targetId }) => {
     const room = rooms[roomCode];
-    if (!room || room.gameState !== "voting") return;
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.gameState !== "voting") return fail("WRONG_STATE");
 
     const voter = room.players.find(p => p.id === socket.id);
-    if (!voter || voter.isDead || voter.disconnected || room.votes[socket.id]) return;
+    if (!voter) return fail("NOT_IN_ROOM");
+    if (voter.isDead || voter.disconnected) return fail("NOT_ALLOWED", "errors.deadCannotVote");
+    if (room.voteLocks[socket.id]) return fail("ALREADY_VOTED");
+
+    const isSkip = targetId === SKIP_VOTE && room.settings.allowSkipVote;
+    if (!isSkip && !isVoteCandidate(room, room.players.find(p => p.id === targetId))) {
+        return fail("INVALID_TARGET");
+    }
+
+    clearAfk(roomCode, voter);
+    registerVote(room, voter, targetId);
+    _checkVotingCompletion(roomCode);
+  });
+
+  // ─────────────────────────────────────────────
+  //  CONFIRMAR VOTO (con changeableVotes)
+  // ─────────────────────────────────────────────
+  on("confirm_vote", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+    if (room.gameState !== "voting") return fail("WRONG_STATE");
 
-    room.votes[socket.id] = targetId;
+    const voter = room.players.find(p => p.id === socket.id);
+    if (!voter) return fail("NOT_IN_ROOM");
+    if (!room.votes[socket.id]) return fail("NOT_ALLOWED", "errors.voteFirst");
+    if (room.voteLocks[socket.id]) return ok();
 
+    lockVote(room, socket.id);
+    journal.record(room, "vote_confirmed", journalVoter(room, voter));
     _checkVotingCompletion(roomCode);
   });
 
+  // ─────────────────────────────────────────────
+  //  RESUMEN DE PARTIDA
+  // ─────────────────────────────────────────────
+  // Sin gameId, la última partida terminada de la sala
+  on("get_game_summary", ({ roomCode, gameId }) => {
+    const room = rooms[roomCode];
+    if (!room) return fail("ROOM_NOT_FOUND");
+
+    const member = room.players.find(p => p.id === socket.id) ||
+        room.spectators.find(s => s.id === socket.id);
+    if (!member) return fail("NOT_IN_ROOM");
+
+    const game = journal.findGame(room, gameId);
+    if (!game) return fail("GAME_NOT_FOUND");
+    return ok({ summary: journal.summarize(game) });
+  });
+
   // ─────────────────────────────────────────────
   //  DESCONEXIÓN
   // ─────────────────────────────────────────────
   socket.on("disconnect", () => {
     console.log("Desconectado:", socket.id);
 
-    for (const code in rooms) {
+    const entry = sessionMap.get(socket.id);
+    if (!entry) return;
+    sessionMap.delete(socket.id);
+
+    const code = entry.roomCode;
+    roomSync.withRoom(code, () => {
         const room = rooms[code];
+        if (!room) return;
+
+        // Espectador: no reserva nada, simplemente sale
+        const spectatorIndex = room.spectators.findIndex(s => s.id === socket.id);
+        if (spectatorIndex !== -1) {
+            room.spectators.splice(spectatorIndex, 1);
+            io.to(code).emit("update_spectators", publicSpectators(room));
+            return;
+        }
+
         const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
 
-        if (player) {
-            if (room.gameState === "lobby") {
-                // En lobby: sacar al jugador directamente
-                room.players = room.players.filter(p => p.id !== socket.id);
-                sessionMap.delete(socket.id);
-
-                if (room.players.length === 0) {
-                    clearVotingTimer(room);
-                    delete rooms[code];
-                    console.log(`Sala ${code} eliminada (vacía).`);
-                } else {
-                    if (room.host === socket.id) {
-                        room.host = room.players[0].id;
-                    }
-                    io.to(code).emit("update_players", {
-                        players: room.players,
-                        hostId: room.host
-                    });
-                }
+        if (room.gameState === "lobby") {
+            // En lobby: sacar al jugador directamente
+            room.players = room.players.filter(p => p.id !== socket.id);
+
+            if (humanPlayers(room).length === 0) {
+                closeRoom(code);
             } else {
-                // En juego/votación: marcar como desconectado (RESERVAR SU ROL)
-                player.disconnected = true;
-
-                const wasHost = (room.host === socket.id);
-                if (wasHost) {
-                    // Transferir host al siguiente jugador conectado
-                    const nextHost = room.players.find(p => p.id !== socket.id && !p.disconnected);
-                    if (nextHost) {
-                        room.host = nextHost.id;
-                        io.to(nextHost.id).emit("you_are_now_host", {});
-                    }
+                if (room.host === socket.id) {
+                    room.host = humanPlayers(room)[0].id;
+                }
+                io.to(code).emit("update_players", playersUpdate(room));
+            }
+        } else {
+            // En juego/votación: marcar como desconectado (RESERVAR SU ROL)
+            player.disconnected = true;
+            player.disconnectedAt = Date.now();
+            journal.record(room, "player_disconnected", { player: player.name });
+
+            const wasHost = (room.host === socket.id);
+            if (wasHost) {
+                // Transferir host al siguiente jugador conectado
+                const nextHost = humanPlayers(room).find(p => p.id !== socket.id && !p.disconnected);
+                if (nextHost) {
+                    room.host = nextHost.id;
+                    io.to(nextHost.id).emit("you_are_now_host", {});
                 }
+            }
 
-                // Avisar a todos
-                io.to(code).emit("player_disconnected", {
-                    playerName: player.name,
-                    playerId: socket.id,
-                    players: room.players,
-                    hostId: room.host
-                });
+            // Avisar a todos
+            io.to(code).emit("player_disconnected", {
+                playerName: player.name,
+                playerId: socket.id,
+                players: publicPlayers(room),
+                hostId: room.host
+            });
 
-                // Si estaba en votación, revisar si ya se puede procesar
-                if (room.gameState === "voting") {
-                    _checkVotingCompletion(code);
-                }
+            // Si estaba en votación, revisar si ya se puede procesar
+            if (room.gameState === "voting") {
+                _checkVotingCompletion(code);
             }
-            break;
+            // Si tenía el turno de pista, lo pierde
+            skipTurnIfCurrent(code, player);
+
+            scheduleForfeits(room);
+            scheduleIdleExpiry(room);
         }
-    }
+    }).catch(err => console.error("Error en disconnect:", err.message));
   });
 });
 
 // ─────────────────────────────────────────────
 //  HELPER: Comprobar si todos los vivos votaron
 // ─────────────────────────────────────────────
+// También avisa el progreso: se llama cada vez que cambia un voto o un votante
 function _checkVotingCompletion(roomCode) {
     const room = rooms[roomCode];
     if (!room || room.gameState !== "voting") return;
 
+    io.to(roomCode).emit("vote_progress", voteProgress(room));
+
     // Jugadores vivos Y conectados son los únicos que pueden votar
     const aliveAndConnected = room.players.filter(p => !p.isDead && !p.disconnected);
-    const votesCount = Object.keys(room.votes).length;
+    // Los votos de quien se desconectó no completan la votación
+    const votesCount = aliveAndConnected.filter(p => room.voteLocks[p.id]).length;
 
-    // Procesamos si todos los que pueden votar ya votaron
+    // Procesamos si todos los que pueden votar ya confirmaron su voto
     if (votesCount >= aliveAndConnected.length && aliveAndConnected.length > 0) {
         processVotingResult(roomCode);
     }
 }
 
-const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+// ─────────────────────────────────────────────
+//  PERSISTENCIA
+// ─────────────────────────────────────────────
+
+// Guarda las salas que cambiaron y borra las que ya no existen
+function persistRooms() {
+    const writes = [];
+
+    for (const code in rooms) {
+        const json = stateStore.serializeRoom(rooms[code]);
+        if (savedSnapshots.get(code) === json) continue;
+        savedSnapshots.set(code, json);
+        writes.push(store.saveRoom(code, json));
+    }
+    for (const code of savedSnapshots.keys()) {
+        if (rooms[code]) continue;
+        savedSnapshots.delete(code);
+        writes.push(store.deleteRoom(code));
+    }
+
+    return Promise.all(writes).catch(err => console.error("Error guardando salas:", err.message));
+}
+
+// Recarga las salas guardadas. Todos vuelven como desconectados (sus
+// sockets murieron con el proceso); los vencimientos pendientes siguen en
+// room.deadlines y se reprograman con lo que les quedaba.
+async function restoreRooms() {
+    const saved = await store.loadAll();
+
+    for (const [code, room] of Object.entries(saved)) {
+        await roomSync.withRoom(code, () => {
+            rooms[code] = room;
+            prepareRestoredRoom(code);
+        });
+        savedSnapshots.set(code, stateStore.serializeRoom(room));
+    }
+
+    const count = Object.keys(saved).length;
+    if (count > 0) console.log(`Salas restauradas: ${count}`);
+}
+
+// En modo cluster el primario carga el almacén y cada sala se prepara aquí
+function prepareRestoredRoom(code) {
+    const room = rooms[code];
+    if (!room) return;
+
+    humanPlayers(room).forEach(p => {
+        p.disconnected = true;
+        p.disconnectedAt = Date.now();
+    });
+    room.spectators = [];
+    // Las opciones agregadas después de guardar la sala toman su valor por defecto
+    room.settings = { ...roomSettings.createSettings(), ...room.settings };
+    room.deadlines = room.deadlines || {};
+    room.bans = room.bans || [];
+    room.games = room.games || [];
+    room.roleHistory = room.roleHistory || {};
+    room.voteLocks = room.voteLocks || {};
+    room.deadlines.expiry = Date.now() + RESTORE_GRACE_MS;
+}
+
+// Pasado el período de gracia (tras un reinicio, o IDLE_ROOM_MS desde que se
+// fue el último): si nadie volvió, la sala se cierra; en el lobby además se
+// sacan los que no volvieron.
+function expireIdleRoom(code) {
+    const room = rooms[code];
+    if (!room) return;
+
+    if (humanPlayers(room).every(p => p.disconnected)) {
+        closeRoom(code, "room.nobodyReturned");
+        return;
+    }
+
+    if (room.gameState === "lobby") {
+        room.players = room.players.filter(p => !p.disconnected);
+        if (!room.players.some(p => p.id === room.host)) {
+            room.host = humanPlayers(room)[0].id;
+        }
+        io.to(code).emit("update_players", playersUpdate(room));
+    }
+}
+
+// Las entradas viejas de los rate limits ya no frenan a nadie
+function sweepRateLimits() {
+    const now = Date.now();
+    for (const [socketId, at] of roomCreationLimits) {
+        if (now - at >= ROOM_CREATION_COOLDOWN_MS) roomCreationLimits.delete(socketId);
+    }
+    chat.sweepRateLimits(chatRateLimits, now);
+    chat.sweepRateLimits(joinRateLimits, now);
+}
+
+setInterval(sweepRateLimits, RATE_LIMIT_SWEEP_MS).unref();
+
+roomSync.onChange(lobbies.summary, (code, lobby) => {
+  io.to(LOBBY_WATCHERS).emit("lobby_updated", { roomCode: code, lobby });
+});
+
+roomSync.onDeadline((code, kind, at) => {
+  roomSync.withRoom(code, () => fireDeadline(code, kind, at))
+    .catch(err => console.error(`Error en vencimiento ${kind} de ${code}:`, err.message));
+});
+
+// ── Worker del cluster (ver cluster.js): el primario reparte las conexiones
+// y guarda las salas, así que aquí no se escucha ni se persiste.
+if (cluster.isWorker) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+
+  roomSync.onRestore(codes => {
+    codes.forEach(code => {
+      roomSync.withRoom(code, () => prepareRestoredRoom(code))
+        .catch(err => console.error(`No se pudo restaurar ${code}:`, err.message));
+    });
+  });
+  roomSync.ready();
+  isReady = true;
+  console.log(`Worker ${process.pid} listo`);
+} else {
+  const PORT = process.env.PORT || 3000;
+  restoreRooms()
+    .catch(err => console.error("No se pudieron restaurar las salas:", err.message))
+    .then(() => {
+      setInterval(persistRooms, SNAPSHOT_INTERVAL_MS);
+      httpServer.listen(PORT, () => {
+        isReady = true;
+        console.log(`Server running on port ${PORT}`);
+      });
+    });
+
+  // Al apagar, dejar de recibir tráfico y guardar las salas antes de cerrar
+  process.on("SIGTERM", () => {
+    isReady = false;
+    persistRooms()
+      .then(() => store.close())
+      .finally(() => io.close(() => process.exit(0)));
+  });
+}
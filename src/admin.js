@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { httpError } = require("./errors");
+
+// Token para las rutas /admin. Sin ADMIN_TOKEN las rutas quedan deshabilitadas.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function tokenMatches(received) {
+    if (!ADMIN_TOKEN || typeof received !== "string") return false;
+    const a = crypto.createHash("sha256").update(received).digest();
+    const b = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Middleware de Express: exige "Authorization: Bearer <ADMIN_TOKEN>"
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) return res.status(404).json(httpError(req, "errors.notFound"));
+
+    const header = req.get("authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!tokenMatches(token)) return res.status(401).json(httpError(req, "errors.unauthorized"));
+
+    next();
+}
+
+// Resumen de una sala para inspección: sin palabra, roles ni sesiones
+function roomSummary(code, room) {
+    const host = room.players.find(p => p.id === room.host);
+    return {
+        roomCode: code,
+        gameState: room.gameState,
+        createdAt: room.createdAt,
+        host: host ? host.name : null,
+        players: room.players.map(p => ({
+            name: p.name,
+            isDead: p.isDead,
+            disconnected: p.disconnected,
+            bot: Boolean(p.bot)
+        })),
+        spectators: room.spectators.map(s => s.name),
+        round: room.rounds.length,
+        visibility: room.visibility || "private",
+        locked: Boolean(room.locked),
+        hasPassword: Boolean(room.passwordHash),
+        bans: (room.bans || []).length,
+        games: (room.games || []).length,
+        settings: room.settings
+    };
+}
+
+module.exports = {
+    requireAdmin,
+    roomSummary
+};
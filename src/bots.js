@@ -0,0 +1,140 @@
+// Jugadores bot: completan salas chicas y permiten jugar partidas enteras
+// sin clientes reales.
+//
+// Un bot es una entrada más de room.players (con bot: true y sin socket), así
+// que la votación y las condiciones de victoria no los distinguen. El
+// servidor juega por ellos cuando les toca (ver runBots en index.js); aquí
+// está lo que deciden:
+//  - pista: un término asociado a su palabra (wordBank.relatedTerms) o, si no
+//    la tienen, un farol con los términos de la palabra que mejor encaja con
+//    lo que ya se dijo
+//  - voto: al más sospechoso según las pistas, los turnos perdidos y los
+//    votos que ya recibió
+//  - adivinanza: la palabra que mejor encaja con las pistas
+
+const crypto = require("crypto");
+const wordBank = require("./wordBank");
+const { isInfiltrator } = require("./roles");
+
+function createBot(name, lang) {
+    const id = `bot-${crypto.randomBytes(6).toString("hex")}`;
+    return { id, name, sessionId: id, lang, isDead: false, disconnected: false, role: null, roleData: null, bot: true };
+}
+
+// Tiempo que "piensa" un bot antes de jugar: entre la mitad y 1,5 veces base
+function thinkTime(base) {
+    return Math.round(base * (0.5 + Math.random()));
+}
+
+// El bot al que le toca actuar ahora, o null
+function pendingBot(room) {
+    const isBot = p => p && p.bot && !p.isDead;
+
+    switch (room.gameState) {
+        case "clues": {
+            const round = room.rounds[room.rounds.length - 1];
+            const sessionId = round.turnOrder[round.turnIndex];
+            const player = room.players.find(p => p.sessionId === sessionId);
+            return isBot(player) ? player : null;
+        }
+        case "voting":
+            return room.players.find(p => isBot(p) && !room.votes[p.id]) || null;
+        case "impostor_guess": {
+            const player = room.players.find(p => p.sessionId === room.impostorGuess.sessionId);
+            return player && player.bot ? player : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function cluesSoFar(room) {
+    return room.rounds.flatMap(r => r.clues).filter(c => c.clue);
+}
+
+function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// Términos que el bot puede usar: los de su palabra o, sin palabra, los de
+// la que sospecha que es (la pista del impostor ayuda a acertarla)
+function candidateTerms(room, bot) {
+    const { word, category, impostorHint } = bot.roleData;
+    if (word) return wordBank.relatedTerms(word);
+
+    const seen = cluesSoFar(room).map(c => c.clue).concat(impostorHint || []);
+    const likely = wordBank.rankWords(seen, category)[0];
+    return likely ? likely.terms : [];
+}
+
+// Sin términos (p. ej. una palabra del host que no está en ningún paquete) el
+// bot pasa con "...": nunca dice la palabra ni repite la categoría
+const NO_CLUE = "...";
+
+function chooseClue(room, bot) {
+    const used = new Set(cluesSoFar(room).map(c => wordBank.normalizeWord(c.clue)));
+    const terms = candidateTerms(room, bot);
+    const fresh = terms.filter(t => !used.has(wordBank.normalizeWord(t)));
+
+    if (fresh.length > 0) return pickRandom(fresh);
+    if (terms.length > 0) return pickRandom(terms);
+    return NO_CLUE;
+}
+
+// Sospecha de cada candidato: pistas que no encajan con la palabra del bot,
+// turnos perdidos y votos que ya tiene (con votos públicos). Un infiltrador
+// no sabe qué pistas encajan, así que se suma a lo que vota la mayoría.
+function suspicion(room, bot, candidate) {
+    const known = new Set(candidateTerms(room, bot)
+        .concat(bot.roleData.word || [])
+        .map(wordBank.normalizeWord));
+    const followsCrowd = isInfiltrator(bot.role);
+
+    let score = Math.random();
+    cluesSoFar(room)
+        .filter(c => c.sessionId === candidate.sessionId)
+        .forEach(c => {
+            if (!followsCrowd) score += known.has(wordBank.normalizeWord(c.clue)) ? -2 : 1;
+        });
+    score += room.rounds
+        .flatMap(r => r.clues)
+        .filter(c => c.sessionId === candidate.sessionId && c.missed).length * 1.5;
+    // Los votos ajenos solo cuentan si los jugadores también los ven
+    if (room.settings.voteVisibility === "public") {
+        score += Object.values(room.votes).filter(id => id === candidate.id).length * (followsCrowd ? 2 : 0.5);
+    }
+    return score;
+}
+
+// Devuelve el id del jugador a votar (nunca a sí mismo ni "saltar")
+function chooseVote(room, bot) {
+    const candidates = room.players.filter(p =>
+        p.id !== bot.id && !p.isDead && (!room.runoff || room.runoff.includes(p.sessionId)));
+    if (candidates.length === 0) return null;
+
+    return candidates
+        .map(p => ({ id: p.id, score: suspicion(room, bot, p) }))
+        .sort((a, b) => b.score - a.score)[0].id;
+}
+
+// Duda entre las que mejor encajan (hasta GUESS_CANDIDATES) para no acertar
+// siempre
+const GUESS_CANDIDATES = 3;
+
+function chooseGuess(room, bot) {
+    const seen = cluesSoFar(room).map(c => c.clue).concat(bot.roleData.impostorHint || []);
+    const ranked = wordBank.rankWords(seen, bot.roleData.category);
+    if (ranked.length === 0) return bot.roleData.category || "...";
+
+    const close = ranked.slice(0, GUESS_CANDIDATES).filter(w => w.score > 0 && w.score >= ranked[0].score - 1);
+    return pickRandom(close.length > 0 ? close : ranked.slice(0, 1)).word;
+}
+
+module.exports = {
+    createBot,
+    thinkTime,
+    pendingBot,
+    chooseClue,
+    chooseVote,
+    chooseGuess
+};
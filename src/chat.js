@@ -0,0 +1,94 @@
+// Canales de chat, historial acotado y rate limiting.
+//
+//  all       → todos leen; escriben los vivos (o cualquiera en el lobby)
+//  dead      → chat de fantasmas: eliminados y espectadores
+//  impostors → solo impostores, cuando hay más de uno en la partida
+
+const CHANNELS = ["all", "dead", "impostors"];
+
+// Mensajes guardados por sala
+const HISTORY_LIMIT = 100;
+
+// Máximo de mensajes por jugador dentro de la ventana
+const RATE_LIMIT = { max: 5, windowMs: 5000 };
+
+function inGame(room) {
+    return room.gameState !== "lobby";
+}
+
+function impostorTeam(room) {
+    return room.players.filter(p => p.role === "impostor");
+}
+
+// member es un jugador de room.players o un espectador (spectator: true)
+function canRead(room, member, channel) {
+    switch (channel) {
+        case "all":
+            return true;
+        case "dead":
+            return member.spectator === true || member.isDead === true;
+        case "impostors":
+            return member.role === "impostor" && impostorTeam(room).length > 1;
+        default:
+            return false;
+    }
+}
+
+// Devuelve la clave de i18n del error, o null si puede escribir
+function postError(room, member, channel) {
+    if (!CHANNELS.includes(channel)) return "chat.invalidChannel";
+    if (room.gameState === "voting" && room.settings.muteChatDuringVoting) {
+        return "chat.mutedDuringVoting";
+    }
+    if (!inGame(room)) {
+        return channel === "all" ? null : "chat.gameOnlyChannel";
+    }
+    // Durante la partida los fantasmas no hablan con los vivos
+    if (channel === "all" && (member.spectator || member.isDead)) {
+        return "chat.ghostsOnly";
+    }
+    if (!canRead(room, member, channel)) return "chat.noAccess";
+    return null;
+}
+
+function addToHistory(room, entry) {
+    room.chatHistory.push(entry);
+    if (room.chatHistory.length > HISTORY_LIMIT) {
+        room.chatHistory.splice(0, room.chatHistory.length - HISTORY_LIMIT);
+    }
+}
+
+function historyFor(room, member) {
+    return room.chatHistory.filter(entry => canRead(room, member, entry.channel));
+}
+
+// Ventana deslizante: limits es un Map clave → timestamps recientes
+function isRateLimited(limits, key, now = Date.now()) {
+    const recent = (limits.get(key) || []).filter(t => now - t < RATE_LIMIT.windowMs);
+    if (recent.length >= RATE_LIMIT.max) {
+        limits.set(key, recent);
+        return true;
+    }
+    recent.push(now);
+    limits.set(key, recent);
+    return false;
+}
+
+// Quita las claves sin mensajes dentro de la ventana (index.js lo llama
+// cada tanto para que el mapa no crezca con sesiones que ya no están)
+function sweepRateLimits(limits, now = Date.now()) {
+    for (const [key, times] of limits) {
+        if (!times.some(t => now - t < RATE_LIMIT.windowMs)) limits.delete(key);
+    }
+}
+
+module.exports = {
+    CHANNELS,
+    RATE_LIMIT,
+    canRead,
+    postError,
+    addToHistory,
+    historyFor,
+    isRateLimited,
+    sweepRateLimits
+};
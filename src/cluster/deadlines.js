@@ -0,0 +1,43 @@
+// Programa los vencimientos de cada sala (room.deadlines: tipo → timestamp).
+//
+// Hay un único scheduler por despliegue: en modo simple vive en el proceso
+// del servidor y en modo cluster en el primario. Quien recibe el aviso
+// vuelve a comprobar, con la sala bloqueada, que el vencimiento sigue
+// vigente antes de actuar; así cada uno dispara una sola vez.
+
+function createDeadlineScheduler(onFire) {
+    // code → Map tipo → { at, timer }
+    const timers = new Map();
+
+    // Deja programados exactamente los vencimientos de `deadlines`
+    function sync(code, deadlines) {
+        const current = timers.get(code) || new Map();
+
+        for (const [kind, entry] of current) {
+            if (!deadlines || deadlines[kind] !== entry.at) {
+                clearTimeout(entry.timer);
+                current.delete(kind);
+            }
+        }
+
+        for (const [kind, at] of Object.entries(deadlines || {})) {
+            if (typeof at !== "number" || current.has(kind)) continue;
+            const timer = setTimeout(() => {
+                current.delete(kind);
+                onFire(code, kind, at);
+            }, Math.max(0, at - Date.now()));
+            current.set(kind, { at, timer });
+        }
+
+        if (current.size > 0) timers.set(code, current);
+        else timers.delete(code);
+    }
+
+    function clear(code) {
+        sync(code, null);
+    }
+
+    return { sync, clear };
+}
+
+module.exports = { createDeadlineScheduler };
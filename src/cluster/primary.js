@@ -0,0 +1,167 @@
+const cluster = require("cluster");
+const http = require("http");
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+const { createDeadlineScheduler } = require("./deadlines");
+const stateStore = require("../store");
+const metrics = require("../metrics");
+
+// Proceso primario del modo cluster:
+//  - reparte las conexiones entre workers (sesiones "sticky" de Socket.IO)
+//  - hace de puente para los emits entre workers (cluster adapter)
+//  - es el almacén compartido de salas: guarda la última versión de cada
+//    una, da bloqueos por sala y programa sus vencimientos
+//  - escribe cada cambio en el almacén persistente (STATE_STORE)
+//  - suma las métricas de todos los workers
+
+function startPrimary({ workers, port }) {
+    const persistent = stateStore.createStore();
+
+    const entries = new Map();   // code → { version, json }
+    const locks = new Map();     // code → { holder: workerId, queue: [{ workerId, grant }] }
+    const writes = new Map();    // code → promesa de la última escritura en disco
+    let restored = null;         // códigos cargados del disco, pendientes de rehidratar
+    let nextWorker = 0;
+    const counters = metrics.createCounters();
+    const sockets = new Map();   // workerId → sockets abiertos
+
+    const scheduler = createDeadlineScheduler((code, kind, at) => {
+        const alive = Object.values(cluster.workers).filter(w => w.isConnected());
+        if (alive.length === 0) return;
+        const worker = alive[nextWorker++ % alive.length];
+        worker.send({ roomSync: { op: "deadline", code, kind, at } });
+    });
+
+    // Escrituras en orden por sala
+    function persist(code, json) {
+        const previous = writes.get(code) || Promise.resolve();
+        const next = previous
+            .then(() => json === null ? persistent.deleteRoom(code) : persistent.saveRoom(code, json))
+            .catch(err => console.error(`Error guardando sala ${code}:`, err.message));
+        writes.set(code, next);
+        return next;
+    }
+
+    function lock(code, workerId, grant) {
+        const state = locks.get(code);
+        if (!state) {
+            locks.set(code, { holder: workerId, queue: [] });
+            grant();
+        } else {
+            state.queue.push({ workerId, grant });
+        }
+    }
+
+    function unlock(code, workerId) {
+        const state = locks.get(code);
+        if (!state || state.holder !== workerId) return;
+
+        const next = state.queue.shift();
+        if (next) {
+            state.holder = next.workerId;
+            next.grant();
+        } else {
+            locks.delete(code);
+        }
+    }
+
+    function handle(worker, m) {
+        const reply = result => worker.send({ roomSync: { id: m.id, result } });
+
+        switch (m.op) {
+            case "lock":
+                return lock(m.code, worker.id, () => reply(true));
+            case "unlock":
+                return unlock(m.code, worker.id);
+            case "get":
+                return reply(entries.get(m.code) || null);
+            case "set": {
+                const version = (entries.has(m.code) ? entries.get(m.code).version : 0) + 1;
+                entries.set(m.code, { version, json: m.json });
+                scheduler.sync(m.code, JSON.parse(m.json).deadlines);
+                persist(m.code, m.json);
+                return reply(version);
+            }
+            case "delete":
+                entries.delete(m.code);
+                scheduler.clear(m.code);
+                persist(m.code, null);
+                // Los demás workers sueltan su copia (si no, queda para siempre)
+                for (const other of Object.values(cluster.workers)) {
+                    if (other !== worker && other.isConnected()) {
+                        other.send({ roomSync: { op: "evict", code: m.code } });
+                    }
+                }
+                return reply(true);
+            case "list": {
+                const all = {};
+                entries.forEach((entry, code) => { all[code] = entry.json; });
+                return reply(all);
+            }
+            case "count":
+                return metrics.increment(counters, m.name, m.label);
+            case "sockets":
+                return sockets.set(worker.id, m.count);
+            case "metrics": {
+                let connectedSockets = 0;
+                sockets.forEach(count => { connectedSockets += count; });
+                return reply({ counters, connectedSockets });
+            }
+            case "ready":
+                // El primer worker listo rehidrata las salas cargadas del disco
+                if (restored && restored.length > 0) {
+                    worker.send({ roomSync: { op: "restore", codes: restored } });
+                }
+                restored = null;
+                return;
+        }
+    }
+
+    cluster.on("message", (worker, msg) => {
+        if (msg && msg.roomSync) handle(worker, msg.roomSync);
+    });
+
+    let shuttingDown = false;
+
+    // Si un worker muere, suelta sus bloqueos y se reemplaza
+    cluster.on("exit", (worker, code, signal) => {
+        console.log(`Worker ${worker.process.pid} terminó (${signal || code}).`);
+        sockets.delete(worker.id);
+        for (const [roomCode, state] of locks) {
+            state.queue = state.queue.filter(w => w.workerId !== worker.id);
+            if (state.holder === worker.id) unlock(roomCode, worker.id);
+        }
+        if (!shuttingDown) cluster.fork();
+    });
+
+    process.on("SIGTERM", () => {
+        shuttingDown = true;
+        for (const worker of Object.values(cluster.workers)) worker.kill("SIGTERM");
+        Promise.all(writes.values())
+            .then(() => persistent.close())
+            .finally(() => process.exit(0));
+    });
+
+    const httpServer = http.createServer();
+    setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+    setupPrimary();
+
+    persistent.loadAll()
+        .catch(err => {
+            console.error("No se pudieron restaurar las salas:", err.message);
+            return {};
+        })
+        .then(saved => {
+            for (const [code, room] of Object.entries(saved)) {
+                entries.set(code, { version: 1, json: stateStore.serializeRoom(room) });
+            }
+            restored = Object.keys(saved);
+
+            for (let i = 0; i < workers; i++) cluster.fork();
+            httpServer.listen(port, () => {
+                console.log(`Primario ${process.pid}: ${workers} workers en el puerto ${port}`);
+            });
+        });
+}
+
+module.exports = { startPrimary };
@@ -0,0 +1,220 @@
+const { createDeadlineScheduler } = require("./deadlines");
+const { serializeRoom } = require("../store");
+const metrics = require("../metrics");
+
+// Sincronización del estado de las salas.
+//
+// Todo handler que toca una sala corre dentro de withRoom(code, fn):
+//  - modo simple: fn corre directo sobre `rooms` y después se reprograman
+//    los vencimientos de la sala.
+//  - modo cluster: se bloquea la sala en el primario, se trae su última
+//    versión si cambió en otro worker, corre fn y se guarda el resultado.
+//
+// Ambos exponen la misma interfaz:
+//   withRoom(code, fn)  → Promise con lo que devuelva fn
+//   listRooms()         → Promise<{ [code]: room }> (solo lectura)
+//   onDeadline(fn)      → fn(code, kind, at) cuando vence un room.deadlines
+//   onRestore(fn)       → fn(codes) para rehidratar salas (solo cluster)
+//   onChange(sum, fn)   → fn(code, resumen) cuando cambia sum(code, room)
+//   ready()             → el servidor ya atiende conexiones
+//   countMetric(n, l)   → suma 1 al contador n (ver src/metrics.js)
+//   reportSockets(n)    → sockets abiertos en este proceso
+//   metricTotals()      → Promise<{ counters, connectedSockets }> de todos
+
+// Observadores de cambios: cada uno resume la sala antes y después de fn
+// (con la sala bloqueada) y recibe el resumen nuevo solo si cambió
+function createObservers(rooms) {
+    const observers = [];
+
+    return {
+        add(summarize, listener) {
+            observers.push({ summarize, listener });
+        },
+
+        run(code, fn) {
+            if (!code || observers.length === 0) return fn();
+
+            const before = observers.map(o => JSON.stringify(o.summarize(code, rooms[code])));
+            const result = fn();
+            observers.forEach((o, i) => {
+                const after = o.summarize(code, rooms[code]);
+                if (JSON.stringify(after) !== before[i]) o.listener(code, after);
+            });
+            return result;
+        }
+    };
+}
+
+function createLocalSync(rooms) {
+    let deadlineHandler = () => {};
+    const scheduler = createDeadlineScheduler((code, kind, at) => deadlineHandler(code, kind, at));
+    const observers = createObservers(rooms);
+    const counters = metrics.createCounters();
+    let connectedSockets = 0;
+
+    return {
+        clustered: false,
+
+        async withRoom(code, fn) {
+            try {
+                return observers.run(code, fn);
+            } finally {
+                if (code) scheduler.sync(code, rooms[code] ? rooms[code].deadlines : null);
+            }
+        },
+
+        async listRooms() {
+            return rooms;
+        },
+
+        onDeadline(fn) {
+            deadlineHandler = fn;
+        },
+
+        onRestore() {},
+
+        onChange(summarize, listener) {
+            observers.add(summarize, listener);
+        },
+
+        ready() {},
+
+        countMetric(name, label) {
+            metrics.increment(counters, name, label);
+        },
+
+        reportSockets(count) {
+            connectedSockets = count;
+        },
+
+        async metricTotals() {
+            return { counters, connectedSockets };
+        }
+    };
+}
+
+// Cliente del primario (ver primary.js) a través del canal IPC del cluster
+function createClusterSync(rooms) {
+    let nextId = 0;
+    const pending = new Map();
+    const versions = new Map();
+    let deadlineHandler = () => {};
+    let restoreHandler = () => {};
+    const observers = createObservers(rooms);
+
+    process.on("message", msg => {
+        const m = msg && msg.roomSync;
+        if (!m) return;
+
+        if (m.id !== undefined && pending.has(m.id)) {
+            const { resolve, reject } = pending.get(m.id);
+            pending.delete(m.id);
+            if (m.error) reject(new Error(m.error));
+            else resolve(m.result);
+        } else if (m.op === "deadline") {
+            deadlineHandler(m.code, m.kind, m.at);
+        } else if (m.op === "restore") {
+            restoreHandler(m.codes);
+        } else if (m.op === "evict") {
+            // Otro worker borró la sala
+            delete rooms[m.code];
+            versions.delete(m.code);
+        }
+    });
+
+    function request(op, args = {}) {
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject });
+            process.send({ roomSync: { id, op, ...args } });
+        });
+    }
+
+    // Trae la versión del primario si la copia local quedó vieja
+    function refresh(code, entry) {
+        if (!entry) {
+            delete rooms[code];
+            versions.delete(code);
+        } else if (versions.get(code) !== entry.version) {
+            rooms[code] = JSON.parse(entry.json);
+            versions.set(code, entry.version);
+        }
+    }
+
+    async function commit(code, entry) {
+        const room = rooms[code];
+        if (room) {
+            const json = serializeRoom(room);
+            if (!entry || json !== entry.json) {
+                versions.set(code, await request("set", { code, json }));
+            }
+        } else if (entry) {
+            await request("delete", { code });
+            versions.delete(code);
+        }
+    }
+
+    return {
+        clustered: true,
+
+        async withRoom(code, fn) {
+            if (!code) return fn();
+
+            await request("lock", { code });
+            try {
+                const entry = await request("get", { code });
+                refresh(code, entry);
+                const result = observers.run(code, fn);
+                await commit(code, entry);
+                return result;
+            } catch (err) {
+                // La copia local pudo quedar a medias: la próxima vez se recarga
+                versions.delete(code);
+                throw err;
+            } finally {
+                process.send({ roomSync: { op: "unlock", code } });
+            }
+        },
+
+        async listRooms() {
+            const all = await request("list");
+            const result = {};
+            for (const code in all) result[code] = JSON.parse(all[code]);
+            return result;
+        },
+
+        onDeadline(fn) {
+            deadlineHandler = fn;
+        },
+
+        onRestore(fn) {
+            restoreHandler = fn;
+        },
+
+        onChange(summarize, listener) {
+            observers.add(summarize, listener);
+        },
+
+        ready() {
+            process.send({ roomSync: { op: "ready" } });
+        },
+
+        // Los contadores viven en el primario: cada worker solo avisa
+        countMetric(name, label) {
+            process.send({ roomSync: { op: "count", name, label } });
+        },
+
+        reportSockets(count) {
+            process.send({ roomSync: { op: "sockets", count } });
+        },
+
+        metricTotals() {
+            return request("metrics");
+        }
+    };
+}
+
+module.exports = {
+    createLocalSync,
+    createClusterSync
+};
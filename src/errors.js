@@ -0,0 +1,66 @@
+// Resultados de los eventos del cliente.
+//
+// Cada handler contesta por acknowledgement con { ok: true, ...datos } o
+// { ok: false, code, message, key, params }. Los códigos son estables: el
+// cliente decide con `code`; `message` llega en el idioma del jugador y
+// `key`/`params` permiten armar un texto propio (ver i18n.js).
+
+const { t, LANGUAGES, DEFAULT_LANGUAGE } = require("./i18n");
+
+const ERROR_CODES = [
+    "INVALID_PAYLOAD",
+    "INVALID_NAME",
+    "INVALID_TEXT",
+    "RATE_LIMITED",
+    "ROOM_NOT_FOUND",
+    "ROOM_FULL",
+    "INVALID_SESSION",
+    "NOT_IN_ROOM",
+    "NOT_HOST",
+    "WRONG_STATE",
+    "NOT_YOUR_TURN",
+    "NOT_ALLOWED",
+    "PACK_NOT_FOUND",
+    "DECOY_REQUIRED",
+    "NOT_ENOUGH_PLAYERS",
+    "INVALID_SETTINGS",
+    "CHAT_FORBIDDEN",
+    "ALREADY_VOTED",
+    "INVALID_TARGET",
+    "PLAYER_NOT_FOUND",
+    "BANNED",
+    "ROOM_LOCKED",
+    "WRONG_PASSWORD",
+    "GAME_NOT_FOUND",
+    "INTERNAL"
+];
+
+function ok(data = {}) {
+    return { ok: true, ...data };
+}
+
+// key reemplaza el texto genérico del código cuando hay uno más preciso
+function fail(code, key = `errors.${code}`, params = {}) {
+    if (!ERROR_CODES.includes(code)) throw new Error(`Código de error desconocido: ${code}`);
+    return { ok: false, code, key, params };
+}
+
+// Agrega el texto del error en el idioma de quien lo recibe
+function localizeResult(result, lang) {
+    if (result.ok) return result;
+    return { ...result, message: t(lang, result.key, result.params) };
+}
+
+// Errores HTTP en el idioma que pide el navegador (Accept-Language)
+function httpError(req, key, params) {
+    const lang = req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+    return { error: t(lang, key, params), key };
+}
+
+module.exports = {
+    ERROR_CODES,
+    ok,
+    fail,
+    localizeResult,
+    httpError
+};
@@ -0,0 +1,44 @@
+// Textos del servidor por idioma (catálogos en src/locales).
+//
+// Cada mensaje es una clave más parámetros: { key: "game.jesterWins",
+// params: { name: "Ana" } }. El texto se arma recién al emitir, en el idioma
+// de quien lo recibe, y el payload lleva también la clave para que el
+// cliente pueda usar sus propios textos.
+
+const CATALOGS = {
+    es: require("./locales/es.json"),
+    en: require("./locales/en.json")
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = "es";
+
+function resolveLanguage(lang) {
+    return LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+// Interpola {param} en el texto; si falta la clave en el idioma se usa el
+// español, y si tampoco está, la clave misma
+function t(lang, key, params = {}) {
+    const template = CATALOGS[resolveLanguage(lang)][key] || CATALOGS[DEFAULT_LANGUAGE][key];
+    if (!template) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match);
+}
+
+// Campos de un payload para un mensaje: { reason, reasonKey, reasonParams }
+function localize(lang, field, key, params = {}) {
+    return {
+        [field]: t(lang, key, params),
+        [`${field}Key`]: key,
+        [`${field}Params`]: params
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage,
+    t,
+    localize
+};
@@ -0,0 +1,84 @@
+// Bitácora de cada partida: lista de eventos con hora, solo se agrega.
+//
+// La partida en curso vive en room.journal. Al terminar pasa a room.games
+// (las últimas GAMES_LIMIT), desde donde se arma el resumen para los
+// jugadores y la exportación para repetirla en un cliente. Los jugadores se
+// identifican por nombre, que es único dentro de la sala.
+
+const crypto = require("crypto");
+
+const GAMES_LIMIT = 5;
+const EVENTS_LIMIT = 2000;
+const EXPORT_VERSION = 1;
+
+function startGame(room, roomCode, data) {
+    room.journal = {
+        gameId: crypto.randomBytes(8).toString("hex"),
+        roomCode,
+        startedAt: Date.now(),
+        endedAt: null,
+        result: null,
+        events: []
+    };
+    record(room, "game_started", data);
+}
+
+// Sin partida en curso no hace nada: así se puede llamar desde cualquier lado
+function record(room, type, data = {}) {
+    if (!room.journal || room.journal.events.length >= EVENTS_LIMIT) return;
+    room.journal.events.push({ at: Date.now(), type, ...data });
+}
+
+// result: { winner, reasonKey, reasonParams, word }; winner null si se cortó
+function finishGame(room, result) {
+    const journal = room.journal;
+    if (!journal) return null;
+
+    record(room, "game_over", result);
+    journal.endedAt = Date.now();
+    journal.result = result;
+    room.games = (room.games || []).concat(journal).slice(-GAMES_LIMIT);
+    room.journal = null;
+    return journal;
+}
+
+// gameId opcional: por defecto, la última partida terminada
+function findGame(room, gameId) {
+    const games = room.games || [];
+    if (!gameId) return games[games.length - 1] || null;
+    return games.find(g => g.gameId === gameId) || null;
+}
+
+// Resumen para discutir al final: roles, pistas y cada votación (voto a voto
+// salvo que la sala tenga revealBallots apagado y votos anónimos)
+function summarize(journal) {
+    const start = journal.events.find(e => e.type === "game_started") || {};
+    const of = type => journal.events.filter(e => e.type === type);
+
+    return {
+        gameId: journal.gameId,
+        startedAt: journal.startedAt,
+        endedAt: journal.endedAt,
+        result: journal.result,
+        mode: start.mode,
+        word: start.word,
+        category: start.category,
+        roles: start.roles || [],
+        clues: of("clue").map(({ round, player, clue, missed }) => ({ round, player, clue, missed })),
+        votes: of("voting_result").map(({ round, runoff, ballots, tally, outcome, eliminated }) =>
+            ({ round, runoff, ballots, tally, outcome, eliminated }))
+    };
+}
+
+function exportGame(journal) {
+    return { format: "impostor-journal", version: EXPORT_VERSION, ...journal };
+}
+
+module.exports = {
+    startGame,
+    record,
+    finishGame,
+    findGame,
+    summarize,
+    exportGame
+};
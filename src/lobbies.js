@@ -0,0 +1,66 @@
+// Buscador de salas públicas y emparejamiento rápido.
+//
+// Una sala aparece en el listado mientras sea pública, esté en el lobby y no
+// tenga candado. Las que tienen contraseña se listan (con hasPassword) pero
+// quick_join no las elige.
+
+const { DEFAULT_LANGUAGE } = require("./i18n");
+
+const VISIBILITIES = ["private", "public"];
+
+function isListed(room) {
+    return room.visibility === "public" && room.gameState === "lobby" && !room.locked;
+}
+
+// Se puede entrar sin pedir nada más
+function isOpen(room) {
+    return isListed(room) && !room.passwordHash && room.players.length < room.settings.maxPlayers;
+}
+
+// Lo que ve el buscador de una sala, o null si no está listada
+function summary(code, room) {
+    if (!room || !isListed(room)) return null;
+
+    const host = room.players.find(p => p.id === room.host);
+    return {
+        roomCode: code,
+        host: host ? host.name : null,
+        players: room.players.length,
+        maxPlayers: room.settings.maxPlayers,
+        language: room.language || DEFAULT_LANGUAGE,
+        hasPassword: Boolean(room.passwordHash),
+        settings: room.settings
+    };
+}
+
+// language: opcional, filtra por idioma de la sala
+function listLobbies(rooms, { language } = {}) {
+    return Object.entries(rooms)
+        .map(([code, room]) => summary(code, room))
+        .filter(lobby => lobby && (!language || lobby.language === language))
+        .sort((a, b) => b.players - a.players);
+}
+
+// Salas candidatas para quick_join, de la mejor a la peor: primero las del
+// idioma pedido y, dentro de eso, las más llenas (para que arranquen antes)
+// y las más antiguas.
+function quickJoinCandidates(rooms, language) {
+    return Object.entries(rooms)
+        .filter(([, room]) => isOpen(room))
+        .sort(([, a], [, b]) => {
+            const langA = (a.language || DEFAULT_LANGUAGE) === language ? 0 : 1;
+            const langB = (b.language || DEFAULT_LANGUAGE) === language ? 0 : 1;
+            return langA - langB ||
+                b.players.length - a.players.length ||
+                a.createdAt - b.createdAt;
+        })
+        .map(([code]) => code);
+}
+
+module.exports = {
+    VISIBILITIES,
+    isOpen,
+    summary,
+    listLobbies,
+    quickJoinCandidates
+};
@@ -0,0 +1,65 @@
+// Métricas en formato de texto de Prometheus, sin dependencias.
+//
+// Los contadores son un objeto plano para poder sumarlos entre procesos:
+// los guarda roomSync (en modo cluster, el primario), así /metrics da lo
+// mismo en cualquier worker.
+
+function createCounters() {
+    return {
+        gamesStarted: 0,
+        gamesFinished: {},   // winner → cantidad
+        votesCast: 0,
+        votingTimeouts: 0
+    };
+}
+
+// label: para los contadores por etiqueta (gamesFinished)
+function increment(counters, name, label) {
+    if (label === undefined) {
+        counters[name]++;
+    } else {
+        counters[name][label] = (counters[name][label] || 0) + 1;
+    }
+}
+
+function metric(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => {
+        const labelText = labels
+            ? "{" + Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(",") + "}"
+            : "";
+        lines.push(`${name}${labelText} ${value}`);
+    });
+}
+
+// rooms: el objeto de salas; totals: { counters, connectedSockets } de
+// roomSync.metricTotals()
+function render(rooms, { counters, connectedSockets }) {
+    const byState = { lobby: 0, clues: 0, playing: 0, voting: 0, impostor_guess: 0 };
+    Object.values(rooms).forEach(room => {
+        byState[room.gameState] = (byState[room.gameState] || 0) + 1;
+    });
+
+    const lines = [];
+    metric(lines, "impostor_connected_sockets", "gauge", "Sockets conectados.",
+        [[null, connectedSockets]]);
+    metric(lines, "impostor_rooms", "gauge", "Salas activas por estado de juego.",
+        Object.entries(byState).map(([state, n]) => [{ state }, n]));
+    metric(lines, "impostor_games_started_total", "counter", "Partidas iniciadas.",
+        [[null, counters.gamesStarted]]);
+    metric(lines, "impostor_games_finished_total", "counter", "Partidas terminadas por bando ganador.",
+        Object.entries(counters.gamesFinished).map(([winner, n]) => [{ winner }, n]));
+    metric(lines, "impostor_votes_cast_total", "counter", "Votos emitidos.",
+        [[null, counters.votesCast]]);
+    metric(lines, "impostor_voting_timeouts_total", "counter", "Votaciones cerradas por tiempo.",
+        [[null, counters.votingTimeouts]]);
+
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    createCounters,
+    increment,
+    render
+};
@@ -0,0 +1,47 @@
+// Herramientas del host contra los que molestan: expulsar, banear, cerrar
+// el lobby con candado y proteger la sala con contraseña.
+//
+// El baneo guarda la sesión (corta la reconexión con token) y el nombre
+// exacto (corta que vuelva a entrar igual como jugador nuevo). El nombre es
+// solo un freno: con otro nombre puede volver, para eso está el candado.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// La contraseña se guarda con scrypt: "sal:hash" en hex. scrypt es lento a
+// propósito, así que corre fuera del event loop (y fuera del bloqueo de sala)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = (await scrypt(password, salt, 32)).toString("hex");
+    return `${salt}:${hash}`;
+}
+
+async function checkPassword(stored, password) {
+    if (!stored) return true;
+    if (typeof password !== "string") return false;
+
+    const [salt, hash] = stored.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Se compara el nombre exacto: banear a "Ana (2)" no deja afuera a "Ana"
+function ban(room, member) {
+    room.bans.push({ sessionId: member.sessionId, name: member.name });
+}
+
+function isBanned(room, { sessionId, name }) {
+    return room.bans.some(b =>
+        (sessionId && b.sessionId === sessionId) ||
+        (name && b.name === name));
+}
+
+module.exports = {
+    hashPassword,
+    checkPassword,
+    ban,
+    isBanned
+};
@@ -0,0 +1,46 @@
+// Auditoría del sorteo de roles (commit-reveal), opcional por sala
+// (setting roleAudit).
+//
+// Al empezar la partida el servidor elige una semilla al azar y publica
+// role_audit con el hash de la semilla y las entradas del sorteo (estrategia,
+// roles especiales y jugadores con su historial). El host no puede elegir la
+// semilla ni cambiarla después: en game_over se revela y cualquiera puede
+// comprobar que sha256(semilla) coincide y rehacer el sorteo con
+// roles.drawRoles para ver que da los mismos roles.
+
+const crypto = require("crypto");
+const { drawRoles } = require("./roles");
+
+function createSeed() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+function commitment(seed) {
+    return crypto.createHash("sha256").update(seed).digest("hex");
+}
+
+// Lo que se publica al empezar: sin la semilla
+function publish(seed, draw) {
+    return { commitment: commitment(seed), ...draw };
+}
+
+// Lo que se publica en game_over
+function reveal(seed, draw) {
+    return { seed, ...publish(seed, draw) };
+}
+
+// Comprueba una revelación: devuelve true si el hash y los roles cuadran.
+// roles: [{ name, role }] como llegan en game_over
+function verify({ seed, commitment: published, strategy, slots, players }, roles) {
+    if (commitment(seed) !== published) return false;
+
+    const drawn = drawRoles(players, slots, strategy, seed);
+    return roles.every(({ name, role }) => drawn.get(name) === role);
+}
+
+module.exports = {
+    createSeed,
+    publish,
+    reveal,
+    verify
+};
@@ -0,0 +1,139 @@
+// Roles y modos de juego.
+//
+//  classic    → impostores sin palabra (con pista opcional)
+//  undercover → los impostores reciben otra palabra de la misma categoría
+//               y creen ser ciudadanos
+//  mrwhite    → impostores normales + un Mr. White que no recibe nada
+//
+// El bufón (jester) es un rol neutral que se suma a cualquier modo:
+// gana si lo eliminan en la votación.
+
+const crypto = require("crypto");
+
+const GAME_MODES = ["classic", "undercover", "mrwhite"];
+
+// Roles del bando impostor
+const INFILTRATOR_ROLES = ["impostor", "undercover", "mrwhite"];
+
+function isInfiltrator(role) {
+    return INFILTRATOR_ROLES.includes(role);
+}
+
+// Roles que conocen (o pueden deducir) su situación y tienen sentido
+// para la última oportunidad de adivinar la palabra
+function canGuessWord(role) {
+    return role === "impostor" || role === "mrwhite";
+}
+
+// Sorteo de roles. Los roles especiales (impostores, Mr. White, bufón) se sortean de a uno
+// entre los que quedan; el resto son ciudadanos. La estrategia de la sala
+// (setting roleSelection) da el peso de cada jugador:
+//   uniform  → todos igual
+//   weighted → cada una de sus últimas HISTORY_LIMIT partidas en el mismo
+//              bando que el rol sorteado divide su peso por 2
+//
+// El azar sale de una semilla (ver roleAudit.js) expandida con HMAC-SHA256:
+// con la misma semilla y las mismas entradas el sorteo se repite exacto.
+
+const SELECTION_STRATEGIES = ["uniform", "weighted"];
+const HISTORY_LIMIT = 5;
+
+// Bando de un rol para el anti-racha: los infiltradores cuentan juntos
+function sideOf(role) {
+    return isInfiltrator(role) ? "infiltrator" : role;
+}
+
+// Números en [0, 1) deterministas a partir de la semilla
+function createRandom(seed) {
+    let counter = 0;
+    return () => {
+        const block = crypto.createHmac("sha256", seed).update(String(counter++)).digest();
+        return block.readUIntBE(0, 6) / 2 ** 48;
+    };
+}
+
+function selectionWeight(strategy, recent, role) {
+    if (strategy !== "weighted") return 1;
+    return 0.5 ** recent.filter(r => sideOf(r) === sideOf(role)).length;
+}
+
+// El sorteo en sí, solo con datos públicos para poder rehacerlo:
+// entries [{ name, recent }] ordenados por nombre, slots [rol especial...].
+// Devuelve Map nombre → rol.
+function drawRoles(entries, slots, strategy, seed) {
+    const random = createRandom(seed);
+    const remaining = entries.slice();
+    const result = new Map(entries.map(e => [e.name, "citizen"]));
+
+    slots.forEach(role => {
+        const weights = remaining.map(e => selectionWeight(strategy, e.recent, role));
+        let target = random() * weights.reduce((a, b) => a + b, 0);
+        let index = weights.findIndex(w => (target -= w) < 0);
+        if (index === -1) index = remaining.length - 1;
+
+        const [chosen] = remaining.splice(index, 1);
+        result.set(chosen.name, role);
+    });
+
+    return result;
+}
+
+// Reparte los roles entre los jugadores activos.
+// history: roles recientes por sessionId (room.roleHistory).
+// Devuelve { roles, draw } (roles: Map sessionId → rol; draw: las entradas
+// públicas del sorteo) o { error } (clave de i18n).
+function assignRoles(players, { mode, impostorCount, jester, strategy = "uniform", history = {}, seed }) {
+    const extras = (mode === "mrwhite" ? 1 : 0) + (jester ? 1 : 0);
+    const maxImpostors = Math.max(1, players.length - 1 - extras);
+    const finalImpostorCount = Math.min(Math.max(1, Number(impostorCount) || 1), maxImpostors);
+
+    if (players.length - finalImpostorCount - extras < 1) {
+        return { error: "roles.notEnoughPlayers" };
+    }
+
+    const impostorRole = mode === "undercover" ? "undercover" : "impostor";
+    const slots = Array(finalImpostorCount).fill(impostorRole);
+    if (mode === "mrwhite") slots.push("mrwhite");
+    if (jester) slots.push("jester");
+
+    const entries = players
+        .map(p => ({ name: p.name, recent: history[p.sessionId] || [] }))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    const byName = drawRoles(entries, slots, strategy, seed);
+
+    const roles = new Map(players.map(p => [p.sessionId, byName.get(p.name)]));
+    return { roles, draw: { strategy, slots, players: entries } };
+}
+
+// Anota los roles de la partida que empieza en el historial de la sala
+function rememberRoles(history, players) {
+    players.forEach(p => {
+        history[p.sessionId] = (history[p.sessionId] || []).concat(p.role).slice(-HISTORY_LIMIT);
+    });
+}
+
+// Lo que ve cada jugador de su propio rol. El undercover recibe la
+// palabra alternativa y se presenta como ciudadano.
+function buildRoleData(role, secret, startingPlayer) {
+    switch (role) {
+        case "impostor":
+            return { role, word: null, category: secret.category, impostorHint: secret.hint || null, startingPlayer };
+        case "undercover":
+            return { role: "citizen", word: secret.decoy, category: secret.category, impostorHint: null, startingPlayer };
+        case "mrwhite":
+            return { role, word: null, category: null, impostorHint: null, startingPlayer };
+        default:
+            return { role, word: secret.word, category: secret.category, impostorHint: null, startingPlayer };
+    }
+}
+
+module.exports = {
+    GAME_MODES,
+    SELECTION_STRATEGIES,
+    isInfiltrator,
+    canGuessWord,
+    drawRoles,
+    assignRoles,
+    rememberRoles,
+    buildRoleData
+};
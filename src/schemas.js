@@ -0,0 +1,174 @@
+// Esquemas de los eventos que manda el cliente.
+//
+// Tipos de campo:
+//   roomCode → 4 letras; se normaliza a mayúsculas
+//   string   → texto no vacío (maxLength opcional)
+//   integer  → entero, también como texto ("2"); min/max opcionales
+//   boolean
+//   enum     → uno de `values`
+//   object   → objeto plano; con `fields` se valida por dentro
+//
+// Los campos con optional pueden faltar o venir null (toman `default` si lo
+// tienen). Los campos no declarados se descartan. Con `shorthand`, el evento
+// acepta también el valor suelto en lugar del objeto (p. ej. "ABCD" para
+// { roomCode: "ABCD" }), como mandaba el cliente original.
+
+const { CHANNELS } = require("./chat");
+const { LANGUAGES } = require("./i18n");
+const { VISIBILITIES } = require("./lobbies");
+
+const roomCode = { type: "roomCode" };
+const text = { type: "string", maxLength: 500 };
+const language = { type: "enum", values: LANGUAGES, optional: true };
+const password = { type: "string", maxLength: 50, optional: true };
+const playerId = { type: "string", maxLength: 50 };
+
+const roomOnly = { shorthand: "roomCode", fields: { roomCode } };
+
+const SCHEMAS = {
+    create_room: {
+        shorthand: "playerName",
+        fields: {
+            playerName: text,
+            language,
+            password,
+            visibility: { type: "enum", values: VISIBILITIES, optional: true, default: "private" }
+        }
+    },
+    join_room: {
+        fields: {
+            roomCode,
+            playerName: text,
+            sessionToken: { type: "string", maxLength: 200, optional: true },
+            language,
+            password
+        }
+    },
+    leave_room: roomOnly,
+    watch_lobbies: { fields: { language } },
+    unwatch_lobbies: { fields: {} },
+    quick_join: { shorthand: "playerName", fields: { playerName: text, language } },
+    kick_player: { fields: { roomCode, playerId } },
+    ban_player: { fields: { roomCode, playerId } },
+    transfer_host: { fields: { roomCode, playerId } },
+    lock_room: { fields: { roomCode, locked: { type: "boolean" } } },
+    add_bot: roomOnly,
+    remove_bot: { fields: { roomCode, playerId } },
+    start_game: {
+        fields: {
+            roomCode,
+            packId: { type: "string", maxLength: 50, optional: true },
+            categoryId: { type: "string", maxLength: 50, optional: true },
+            impostorCount: { type: "integer", min: 1, max: 20, optional: true },
+            wordData: {
+                type: "object",
+                optional: true,
+                fields: {
+                    word: text,
+                    category: text,
+                    hint: { ...text, optional: true },
+                    decoy: { ...text, optional: true }
+                }
+            }
+        }
+    },
+    update_settings: {
+        fields: { roomCode, settings: { type: "object" } }
+    },
+    reset_scores: roomOnly,
+    reset_game: roomOnly,
+    submit_clue: {
+        fields: { roomCode, clue: text }
+    },
+    impostor_guess: {
+        fields: { roomCode, guess: text }
+    },
+    send_chat: {
+        fields: {
+            roomCode,
+            message: text,
+            channel: { type: "enum", values: CHANNELS, optional: true, default: "all" }
+        }
+    },
+    start_voting: roomOnly,
+    cancel_voting: roomOnly,
+    cast_vote: {
+        fields: { roomCode, targetId: { type: "string", maxLength: 50 } }
+    },
+    confirm_vote: roomOnly,
+    get_game_summary: {
+        fields: { roomCode, gameId: { type: "string", maxLength: 50, optional: true } }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Devuelve { value } con el valor normalizado, o { error, params }
+function checkField(name, spec, value) {
+    const invalid = { error: "errors.invalidField", params: { field: name } };
+
+    switch (spec.type) {
+        case "roomCode":
+            if (typeof value !== "string" || !/^[a-z]{4}$/i.test(value.trim())) return invalid;
+            return { value: value.trim().toUpperCase() };
+        case "string":
+            if (typeof value !== "string" || value.trim().length === 0) return invalid;
+            if (spec.maxLength && value.length > spec.maxLength) return invalid;
+            return { value };
+        case "integer": {
+            const n = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(n)) return invalid;
+            if (spec.min !== undefined && n < spec.min) return invalid;
+            if (spec.max !== undefined && n > spec.max) return invalid;
+            return { value: n };
+        }
+        case "boolean":
+            return typeof value === "boolean" ? { value } : invalid;
+        case "enum":
+            return spec.values.includes(value) ? { value } : invalid;
+        case "object":
+            if (!isPlainObject(value)) return invalid;
+            return spec.fields ? checkFields(spec.fields, value, `${name}.`) : { value };
+        default:
+            throw new Error(`Tipo de campo desconocido: ${spec.type}`);
+    }
+}
+
+function checkFields(fields, input, prefix = "") {
+    const value = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const raw = input[name];
+        if (raw === undefined || raw === null) {
+            if (!spec.optional) return { error: "errors.missingField", params: { field: prefix + name } };
+            if (spec.default !== undefined) value[name] = spec.default;
+            continue;
+        }
+        const result = checkField(prefix + name, spec, raw);
+        if (result.error) return result;
+        value[name] = result.value;
+    }
+    return { value };
+}
+
+// Devuelve { payload } normalizado, o { error, params } (clave de i18n)
+function validate(event, input) {
+    const schema = SCHEMAS[event];
+    if (!schema) throw new Error(`Evento sin esquema: ${event}`);
+
+    // Eventos sin datos: el cliente puede mandar solo el ack
+    if (input === undefined) input = {};
+    if (schema.shorthand && !isPlainObject(input)) {
+        input = { [schema.shorthand]: input };
+    }
+    if (!isPlainObject(input)) return { error: "errors.INVALID_PAYLOAD" };
+
+    const result = checkFields(schema.fields, input);
+    return result.error ? { error: result.error, params: result.params } : { payload: result.value };
+}
+
+module.exports = {
+    SCHEMAS,
+    validate
+};
@@ -0,0 +1,70 @@
+// Puntaje acumulado entre partidas de la misma sala.
+// Se guarda por sessionId para que sobreviva a las reconexiones.
+
+const { isInfiltrator } = require("./roles");
+
+const POINTS = {
+    correctVote: 1,    // ciudadano que votó a un impostor
+    survivedRound: 1,  // impostor que sigue vivo tras una votación
+    win: 3,            // cada jugador del bando ganador
+    correctGuess: 2    // impostor eliminado que adivinó la palabra
+};
+
+function addPoints(room, player, points) {
+    const entry = room.scores[player.sessionId] || { name: player.name, points: 0 };
+    entry.name = player.name;
+    entry.points += points;
+    room.scores[player.sessionId] = entry;
+}
+
+// Se llama al resolver cada votación, con la eliminación ya aplicada
+function awardVotingRound(room) {
+    Object.entries(room.votes).forEach(([voterId, targetId]) => {
+        const voter = room.players.find(p => p.id === voterId);
+        const target = room.players.find(p => p.id === targetId);
+        if (voter && target && voter.role === "citizen" && isInfiltrator(target.role)) {
+            addPoints(room, voter, POINTS.correctVote);
+        }
+    });
+
+    room.players
+        .filter(p => !p.isDead && isInfiltrator(p.role))
+        .forEach(p => addPoints(room, p, POINTS.survivedRound));
+}
+
+function awardWin(room, winner) {
+    room.players
+        .filter(p => {
+            if (winner === "impostor") return isInfiltrator(p.role);
+            return p.role === winner;
+        })
+        .forEach(p => addPoints(room, p, POINTS.win));
+}
+
+function awardGuess(room, player) {
+    addPoints(room, player, POINTS.correctGuess);
+}
+
+function scoreOf(room, player) {
+    const entry = room.scores[player.sessionId];
+    return entry ? entry.points : 0;
+}
+
+// Incluye a quienes ya se fueron: la noche de juego cuenta entera
+function leaderboard(room) {
+    return Object.entries(room.scores)
+        .map(([sessionId, entry]) => {
+            const player = room.players.find(p => p.sessionId === sessionId);
+            return { playerId: player ? player.id : null, name: entry.name, points: entry.points };
+        })
+        .sort((a, b) => b.points - a.points);
+}
+
+module.exports = {
+    POINTS,
+    awardVotingRound,
+    awardWin,
+    awardGuess,
+    scoreOf,
+    leaderboard
+};
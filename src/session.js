@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+
+// Secreto para firmar los tokens de sesión. Si no se define SESSION_SECRET,
+// se genera uno por proceso (los tokens dejan de valer al reiniciar).
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+function sign(payload) {
+    return crypto.createHmac("sha256", SESSION_SECRET).update(payload).digest("base64url");
+}
+
+// Crea una sesión nueva para un jugador de la sala.
+// El sessionId se guarda en el servidor; el token es lo único que ve el cliente.
+function issueSession(roomCode) {
+    const sessionId = crypto.randomBytes(16).toString("hex");
+    return { sessionId, token: buildToken(roomCode, sessionId) };
+}
+
+function buildToken(roomCode, sessionId) {
+    const payload = `${roomCode}.${sessionId}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+// Devuelve { roomCode, sessionId } si la firma es válida, o null
+function verifyToken(token) {
+    if (typeof token !== "string") return null;
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+
+    const [roomCode, sessionId, signature] = parts;
+    const expected = Buffer.from(sign(`${roomCode}.${sessionId}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length) return null;
+    if (!crypto.timingSafeEqual(expected, received)) return null;
+
+    return { roomCode, sessionId };
+}
+
+module.exports = {
+    issueSession,
+    buildToken,
+    verifyToken
+};
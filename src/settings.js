@@ -0,0 +1,93 @@
+// Reglas configurables por sala. El host las edita en el lobby.
+
+const { GAME_MODES, SELECTION_STRATEGIES } = require("./roles");
+
+const TIE_RULES = ["none", "runoff", "random"];
+const VOTE_VISIBILITIES = ["anonymous", "public"];
+
+const DEFAULT_SETTINGS = {
+    maxPlayers: 12,        // tope de jugadores en la sala
+    turnSeconds: 45,       // duración de cada turno de pista
+    voteSeconds: 120,      // tiempo máximo de la votación
+    tieRule: "none",       // empate: nadie sale, segunda vuelta o al azar
+    allowSkipVote: false,  // permite votar "saltar" (no eliminar a nadie)
+    impostorGuess: false,  // el último impostor eliminado puede adivinar la palabra
+    guessSeconds: 30,      // tiempo para ese intento
+    gameMode: "classic",   // classic, undercover o mrwhite (ver roles.js)
+    jester: false,         // agrega un bufón que gana si lo eliminan
+    deadSeeRoles: false,   // los eliminados pasan a ver los roles de todos
+    muteChatDuringVoting: false, // nadie escribe en el chat mientras se vota
+    roleSelection: "uniform", // uniform o weighted (menos rachas, ver roles.js)
+    roleAudit: false,      // publica el hash del sorteo y lo revela al final
+    disconnectGraceSeconds: 90, // desconectado más que esto en partida: abandona
+    voteVisibility: "anonymous", // public: en vivo se ve el conteo y quién votó a quién
+    changeableVotes: false, // el voto se puede cambiar hasta confirmarlo
+    revealBallots: true    // el resumen de la partida dice quién votó a quién (aun con votos anónimos)
+};
+
+// Límites de los valores numéricos: [mínimo, máximo]
+const LIMITS = {
+    maxPlayers: [3, 20],
+    turnSeconds: [10, 180],
+    voteSeconds: [15, 600],
+    guessSeconds: [10, 120],
+    disconnectGraceSeconds: [15, 600]
+};
+
+// Opciones de sí/no
+const FLAGS = ["allowSkipVote", "impostorGuess", "jester", "deadSeeRoles", "muteChatDuringVoting", "roleAudit", "changeableVotes", "revealBallots"];
+
+function createSettings() {
+    return { ...DEFAULT_SETTINGS };
+}
+
+// Aplica un cambio parcial sobre la configuración actual.
+// Devuelve { settings } con el resultado, o { error, params } (clave de
+// i18n) si algún valor no vale. playerCount: jugadores que ya están en la
+// sala; maxPlayers no puede quedar por debajo.
+function applySettings(current, patch, { playerCount = 0 } = {}) {
+    if (!patch || typeof patch !== "object") return { error: "settings.invalid" };
+
+    const next = { ...current };
+
+    for (const key of Object.keys(patch)) {
+        const value = patch[key];
+
+        if (LIMITS[key]) {
+            const [baseMin, max] = LIMITS[key];
+            const min = key === "maxPlayers" ? Math.max(baseMin, playerCount) : baseMin;
+            const n = Number(value);
+            if (!Number.isInteger(n) || n < min || n > max) {
+                return { error: "settings.outOfRange", params: { option: key, min, max } };
+            }
+            next[key] = n;
+        } else if (key === "tieRule") {
+            if (!TIE_RULES.includes(value)) return { error: "settings.invalidTieRule" };
+            next.tieRule = value;
+        } else if (key === "gameMode") {
+            if (!GAME_MODES.includes(value)) return { error: "settings.invalidGameMode" };
+            next.gameMode = value;
+        } else if (key === "voteVisibility") {
+            if (!VOTE_VISIBILITIES.includes(value)) return { error: "settings.invalidVoteVisibility" };
+            next.voteVisibility = value;
+        } else if (key === "roleSelection") {
+            if (!SELECTION_STRATEGIES.includes(value)) return { error: "settings.invalidRoleSelection" };
+            next.roleSelection = value;
+        } else if (FLAGS.includes(key)) {
+            if (typeof value !== "boolean") return { error: "settings.invalid" };
+            next[key] = value;
+        } else {
+            return { error: "settings.unknownOption", params: { option: key } };
+        }
+    }
+
+    return { settings: next };
+}
+
+module.exports = {
+    TIE_RULES,
+    VOTE_VISIBILITIES,
+    DEFAULT_SETTINGS,
+    createSettings,
+    applySettings
+};
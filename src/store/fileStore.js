@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+// Almacén en disco: un JSON por sala dentro de `dir`.
+// Cada escritura va a un archivo temporal y después se renombra, así un
+// corte a mitad de escritura nunca deja un snapshot corrupto.
+
+const ROOM_FILE = /^[A-Z]{4}\.json$/;
+
+function createFileStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = code => path.join(dir, `${code}.json`);
+
+    return {
+        async loadAll() {
+            const result = {};
+            const files = (await fs.promises.readdir(dir)).filter(f => ROOM_FILE.test(f));
+
+            for (const file of files) {
+                try {
+                    const raw = await fs.promises.readFile(path.join(dir, file), "utf8");
+                    result[path.basename(file, ".json")] = JSON.parse(raw);
+                } catch (err) {
+                    console.warn(`Snapshot ${file} ignorado: ${err.message}`);
+                }
+            }
+            return result;
+        },
+
+        async saveRoom(code, json) {
+            const target = fileFor(code);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, json);
+            await fs.promises.rename(tmp, target);
+        },
+
+        async deleteRoom(code) {
+            await fs.promises.rm(fileFor(code), { force: true });
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createFileStore };
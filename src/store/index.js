@@ -0,0 +1,31 @@
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+
+// Elige el almacén según el entorno:
+//   STATE_STORE=memory (por defecto) | file
+//   STATE_DIR=carpeta de snapshots para "file" (por defecto ./data/rooms)
+function createStore(env = process.env) {
+    const kind = env.STATE_STORE || "memory";
+
+    if (kind === "file") {
+        const dir = env.STATE_DIR || "./data/rooms";
+        if (!env.SESSION_SECRET) {
+            console.warn("STATE_STORE=file sin SESSION_SECRET: los tokens no valdrán tras reiniciar.");
+        }
+        return createFileStore(dir);
+    }
+    if (kind !== "memory") {
+        throw new Error(`STATE_STORE desconocido: ${kind}`);
+    }
+    return createMemoryStore();
+}
+
+// Snapshot de una sala en JSON: sin timers ni otros campos internos "_"
+function serializeRoom(room) {
+    return JSON.stringify(room, (key, value) => key.startsWith("_") ? undefined : value);
+}
+
+module.exports = {
+    createStore,
+    serializeRoom
+};
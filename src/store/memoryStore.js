@@ -0,0 +1,33 @@
+// Almacén en memoria: no sobrevive a un reinicio. Es el que se usa por
+// defecto y sirve de referencia para la interfaz de almacenes:
+//
+//   loadAll()             → Promise<{ [roomCode]: snapshot }>
+//   saveRoom(code, json)  → Promise (json: snapshot ya serializado)
+//   deleteRoom(code)      → Promise
+//   close()               → Promise
+
+function createMemoryStore() {
+    const data = new Map();
+
+    return {
+        async loadAll() {
+            const result = {};
+            data.forEach((snapshot, code) => {
+                result[code] = JSON.parse(snapshot);
+            });
+            return result;
+        },
+
+        async saveRoom(code, json) {
+            data.set(code, json);
+        },
+
+        async deleteRoom(code) {
+            data.delete(code);
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createMemoryStore };
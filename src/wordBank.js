@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+
+// Carpeta con los paquetes de palabras incluidos en el servidor
+const PACKS_DIR = path.join(__dirname, "packs");
+
+// Cuántas palabras recientes recuerda cada sala para no repetirlas
+const RECENT_WORDS_LIMIT = 30;
+
+// Mapa: packId → paquete completo (con palabras)
+const packs = new Map();
+
+function normalizeWord(word) {
+    return String(word)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .trim()
+        .toLowerCase();
+}
+
+// Cada palabra es { word, hint?, related? }: related es una lista opcional
+// de términos asociados (ver relatedTerms).
+//
+// Carga todos los .json de la carpeta. Un paquete mal formado se descarta
+// con un aviso en consola, pero no tumba el servidor.
+function loadPacks(dir = PACKS_DIR) {
+    packs.clear();
+    const files = fs.readdirSync(dir).filter(f => f.endsWith(".json"));
+
+    files.forEach(file => {
+        try {
+            const pack = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+            if (!pack.id || !Array.isArray(pack.categories)) {
+                throw new Error("falta 'id' o 'categories'");
+            }
+            pack.categories = pack.categories.filter(c =>
+                c.id && Array.isArray(c.words) && c.words.some(w => w && w.word)
+            );
+            packs.set(pack.id, pack);
+        } catch (err) {
+            console.warn(`Paquete de palabras ${file} ignorado: ${err.message}`);
+        }
+    });
+
+    console.log(`Paquetes de palabras cargados: ${packs.size}`);
+    return packs.size;
+}
+
+// Resumen público: nunca incluye las palabras
+function listPacks() {
+    return Array.from(packs.values()).map(pack => ({
+        id: pack.id,
+        name: pack.name || pack.id,
+        language: pack.language || null,
+        categories: listCategories(pack.id)
+    }));
+}
+
+function listCategories(packId) {
+    const pack = packs.get(packId);
+    if (!pack) return null;
+    return pack.categories.map(c => ({
+        id: c.id,
+        name: c.name || c.id,
+        wordCount: c.words.length
+    }));
+}
+
+// Elige una palabra del paquete/categoría evitando las recientes.
+// Sin categoryId se sortea entre todas las del paquete.
+// Devuelve { word, category, hint, decoy } o null si el paquete/categoría no existe.
+// decoy es otra palabra de la misma categoría (modo undercover), o null.
+function pickWord(packId, categoryId, recentWords = []) {
+    const pack = packs.get(packId);
+    if (!pack) return null;
+
+    const categories = categoryId
+        ? pack.categories.filter(c => c.id === categoryId)
+        : pack.categories;
+    if (categories.length === 0) return null;
+
+    const pool = [];
+    categories.forEach(c => {
+        c.words.forEach(w => {
+            if (w && w.word) pool.push({ word: w.word, category: c.name || c.id, hint: w.hint || null, source: c });
+        });
+    });
+
+    const recent = new Set(recentWords.map(normalizeWord));
+    const fresh = pool.filter(entry => !recent.has(normalizeWord(entry.word)));
+    // Si ya salieron todas, se vuelve a permitir cualquiera
+    const candidates = fresh.length > 0 ? fresh : pool;
+
+    const { source, ...picked } = candidates[Math.floor(Math.random() * candidates.length)];
+
+    const decoys = source.words.filter(w =>
+        w && w.word && normalizeWord(w.word) !== normalizeWord(picked.word)
+    );
+    picked.decoy = decoys.length > 0 ? decoys[Math.floor(Math.random() * decoys.length)].word : null;
+
+    return picked;
+}
+
+// Guarda la palabra jugada en el historial de la sala (acotado)
+function rememberWord(room, word) {
+    if (!room.recentWords) room.recentWords = [];
+    room.recentWords.push(word);
+    if (room.recentWords.length > RECENT_WORDS_LIMIT) {
+        room.recentWords.splice(0, room.recentWords.length - RECENT_WORDS_LIMIT);
+    }
+}
+
+// Términos asociados a una palabra de los paquetes: su pista y sus
+// "related". Sirven de pistas para los bots. [] si la palabra no está.
+function relatedTerms(word) {
+    const target = normalizeWord(word);
+    for (const pack of packs.values()) {
+        for (const category of pack.categories) {
+            const entry = category.words.find(w => w && w.word && normalizeWord(w.word) === target);
+            if (entry) return termsOf(entry);
+        }
+    }
+    return [];
+}
+
+function termsOf(entry) {
+    const terms = [entry.hint].concat(Array.isArray(entry.related) ? entry.related : []);
+    return terms.filter(t => typeof t === "string" && t.trim());
+}
+
+// Palabras de los paquetes ordenadas según cuánto encajan con las pistas
+// dadas (coincidencias con sus términos), de la más probable a la menos.
+// category (el nombre) es opcional y acota la búsqueda.
+// Devuelve [{ word, category, terms, score }]; los empates salen al azar.
+function rankWords(clues, category) {
+    const given = new Set(clues.filter(Boolean).map(normalizeWord));
+    const wanted = category ? normalizeWord(category) : null;
+
+    const ranked = [];
+    for (const pack of packs.values()) {
+        pack.categories
+            .filter(c => !wanted || normalizeWord(c.name || c.id) === wanted)
+            .forEach(c => c.words.forEach(w => {
+                if (!w || !w.word) return;
+                const terms = termsOf(w);
+                const score = terms.concat(w.word).filter(t => given.has(normalizeWord(t))).length;
+                ranked.push({ word: w.word, category: c.name || c.id, terms, score, tiebreak: Math.random() });
+            }));
+    }
+
+    return ranked
+        .sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak)
+        .map(({ tiebreak, ...entry }) => entry);
+}
+
+module.exports = {
+    loadPacks,
+    listPacks,
+    listCategories,
+    pickWord,
+    rememberWord,
+    normalizeWord,
+    relatedTerms,
+    rankWords
+};